@@ -0,0 +1,521 @@
+// Gran Caffè L'Aquila - Wine List Editor (admin.html)
+// Staff edit the list in the browser, then export a new data/wines.json
+// or save a draft to local storage that the public pages preview with ?preview=draft.
+
+class WineListEditor {
+    constructor() {
+        this.wines = [];
+        this.rejected = []; // records the schema rejected: { index, record, reasons }, kept until fixed or deleted
+        this.editingIndex = null; // index in this.wines, or null for a new wine
+        this.fixingIndex = null; // index in this.rejected while one of them is in the form
+        this.hasUnsavedChanges = false;
+        this.query = '';
+
+        this.form = document.getElementById('wineForm');
+        this.formSection = document.getElementById('wineFormSection');
+        this.formTitle = document.getElementById('wineFormTitle');
+        this.rows = document.getElementById('adminWineRows');
+        this.rejectedSection = document.getElementById('rejectedRecords');
+        this.status = document.getElementById('adminStatus');
+
+        this.init();
+    }
+
+    // Form layout; select options are drawn from the values already in the list
+    static get formFields() {
+        return [
+            { name: 'wine_number', label: 'Bin Number' },
+            { name: 'wine_name', label: 'Wine Name' },
+            { name: 'wine_producer', label: 'Producer' },
+            { name: 'wine_vintage', label: 'Appellation & Vintage', hint: 'As printed, e.g. (SICILIA DOC 2023)' },
+            { name: 'region', label: 'Region', input: 'select' },
+            { name: 'wine_type', label: 'Wine Family', input: 'select' },
+            { name: 'category', label: 'List Category', input: 'select' },
+            { name: 'wine_price_glass', label: 'Glass Price', hint: 'Number, or SOLD OUT' },
+            { name: 'wine_price_split', label: 'Split Price' },
+            { name: 'wine_price_bottle', label: 'Bottle Price' },
+            { name: 'wine_price', label: 'List Price', hint: 'Shown when there is no bottle price' },
+            { name: 'varietals', label: 'Grapes' },
+            { name: 'alcohol', label: 'Alcohol' },
+            { name: 'aging', label: 'Aging' },
+            { name: 'soil', label: 'Soil' },
+            { name: 'elevation', label: 'Elevation' },
+            { name: 'organic', label: 'Organic', input: 'checkbox' },
+            { name: 'wine_description', label: 'Description', input: 'textarea' },
+            // Tasting profile: saved together as tasting_profile
+            { name: 'tasting_profile.body', label: 'Body', input: 'scale', hint: '1 light – 5 full' },
+            { name: 'tasting_profile.acidity', label: 'Acidity', input: 'scale', hint: '1 soft – 5 crisp' },
+            { name: 'tasting_profile.tannin', label: 'Tannin', input: 'scale', hint: '1 silky – 5 firm; blank for most whites' },
+            { name: 'tasting_profile.sweetness', label: 'Sweetness', input: 'scale', hint: '1 dry – 5 sweet' },
+            { name: 'tasting_profile.alcohol', label: 'Alcohol (perceived)', input: 'scale', hint: '1 light – 5 warm' },
+            { name: 'tasting_profile.aromas', label: 'Aromas', hint: 'Comma-separated, e.g. cherry, violet, tobacco' }
+        ];
+    }
+
+    // Form values for fields such as "tasting_profile.body" live inside an object on the wine
+    static getFieldValue(wine, name) {
+        const [field, key] = name.split('.');
+        if (!key) return wine[field];
+
+        const value = wine[field] ? wine[field][key] : null;
+        return Array.isArray(value) ? value.join(', ') : value;
+    }
+
+    async init() {
+        if (await this.loadWines()) {
+            this.setupEventListeners();
+        }
+    }
+
+    async loadWines() {
+        try {
+            // Pick up where the last session left off when a draft exists
+            const { wines, report, updatedAt, isDraft } = await WineDataSource.load({ useDraft: true });
+            this.wines = wines;
+            this.rejected = report.rejected.map(({ index, record, reasons }) => ({ index, record, reasons }));
+            this.source = { updatedAt, isDraft };
+            this.searchIndex = null;
+        } catch (error) {
+            console.error('Error loading wine data:', error);
+            alert('Failed to load wine data. Please refresh the page.');
+            return false;
+        }
+
+        this.renderForm();
+        this.renderRows();
+        this.renderRejected();
+        this.renderStatus();
+        return true;
+    }
+
+    setupEventListeners() {
+        document.getElementById('addWineBtn').addEventListener('click', () => this.openForm(null));
+        document.getElementById('saveDraftBtn').addEventListener('click', () => this.saveDraft());
+        document.getElementById('discardDraftBtn').addEventListener('click', () => this.discardDraft());
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportWines());
+        document.getElementById('importCsvInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importCsv(file);
+        });
+        document.getElementById('cancelEditBtn').addEventListener('click', () => this.closeForm());
+
+        document.getElementById('adminSearch').addEventListener('input', (e) => {
+            this.query = e.target.value.trim();
+            this.renderRows();
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveWine();
+        });
+
+        // Edit / duplicate / delete buttons on each row
+        this.rows.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const index = Number(button.getAttribute('data-index'));
+            switch (button.getAttribute('data-action')) {
+                case 'edit':
+                    this.openForm(index);
+                    break;
+                case 'duplicate':
+                    this.duplicateWine(index);
+                    break;
+                case 'delete':
+                    this.deleteWine(index);
+                    break;
+            }
+        });
+
+        // Fix / delete buttons on the records that need fixing
+        this.rejectedSection.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const index = Number(button.getAttribute('data-index'));
+            if (button.getAttribute('data-action') === 'fix') {
+                this.fixRejected(index);
+            } else if (button.getAttribute('data-action') === 'delete') {
+                this.deleteRejected(index);
+            }
+        });
+
+        window.addEventListener('beforeunload', (e) => {
+            if (this.hasUnsavedChanges) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    getFieldOptions(name) {
+        const values = new Set(this.wines.map(wine => wine[name]).filter(Boolean));
+        if (name === 'region') {
+            WineSchema.knownRegions.forEach(region => values.add(region));
+        }
+        return [...values].sort((a, b) => a.localeCompare(b));
+    }
+
+    renderForm() {
+        this.form.querySelector('.admin-form-fields').innerHTML = WineListEditor.formFields.map(field => {
+            const id = `field-${field.name}`;
+            let control;
+
+            if (field.input === 'select') {
+                const options = this.getFieldOptions(field.name)
+                    .map(value => `<option value="${WineSearchIndex.escapeHTML(value)}">${WineSearchIndex.escapeHTML(value)}</option>`)
+                    .join('');
+                control = `<select id="${id}" name="${field.name}"><option value="">—</option>${options}</select>`;
+            } else if (field.input === 'scale') {
+                const options = [1, 2, 3, 4, 5].map(score => `<option value="${score}">${score}</option>`).join('');
+                control = `<select id="${id}" name="${field.name}"><option value="">—</option>${options}</select>`;
+            } else if (field.input === 'textarea') {
+                control = `<textarea id="${id}" name="${field.name}" rows="3"></textarea>`;
+            } else if (field.input === 'checkbox') {
+                control = `<input type="checkbox" id="${id}" name="${field.name}">`;
+            } else {
+                control = `<input type="text" id="${id}" name="${field.name}" autocomplete="off">`;
+            }
+
+            return `
+                <div class="admin-field admin-field-${field.input || 'text'}" data-field="${field.name}">
+                    <label for="${id}">${field.label}</label>
+                    ${control}
+                    ${field.hint ? `<small class="admin-field-hint">${field.hint}</small>` : ''}
+                    <small class="admin-field-error" role="alert"></small>
+                </div>
+            `;
+        }).join('');
+    }
+
+    openForm(index, values) {
+        this.editingIndex = index;
+        this.fixingIndex = null;
+        const wine = values || (index === null ? { organic: false } : this.wines[index]);
+
+        WineListEditor.formFields.forEach(field => {
+            const control = this.form.elements[field.name];
+            const value = WineListEditor.getFieldValue(wine, field.name);
+
+            if (field.input === 'checkbox') {
+                control.checked = Boolean(value);
+                return;
+            }
+            // Keep values that are not among the options (e.g. a new category typed elsewhere)
+            if (field.input === 'select' && value && ![...control.options].some(option => option.value === value)) {
+                control.add(new Option(value, value));
+            }
+            control.value = value === null || value === undefined ? '' : String(value);
+        });
+
+        this.clearFieldErrors();
+        this.formTitle.textContent = index === null ? 'Add Wine' : `Edit ${wine.wine_name}`;
+        this.formSection.hidden = false;
+        this.formSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.form.elements.wine_number.focus();
+    }
+
+    closeForm() {
+        this.formSection.hidden = true;
+        this.editingIndex = null;
+        this.fixingIndex = null;
+    }
+
+    readForm() {
+        const record = {};
+        WineListEditor.formFields.forEach(field => {
+            const control = this.form.elements[field.name];
+            const value = field.input === 'checkbox'
+                ? control.checked
+                : (control.value.trim() === '' ? null : control.value);
+
+            const [name, key] = field.name.split('.');
+            if (key) {
+                record[name] = record[name] || {};
+                record[name][key] = value;
+            } else {
+                record[name] = value;
+            }
+        });
+        return record;
+    }
+
+    saveWine() {
+        const { wine, repairs, errors } = WineSchema.normalizeRecord(this.readForm());
+
+        // On load an unreadable price is dropped with a note; typed into the form it is a mistake
+        repairs
+            .filter(repair => /^Unreadable price/.test(repair.reason))
+            .forEach(repair => errors.push({ field: repair.field, message: `"${repair.from}" is not a price` }));
+
+        // The schema only warns about reused bins (a wine can be listed under two categories),
+        // so only a bin number that is new or was just changed is checked
+        const fixing = this.fixingIndex === null ? null : this.rejected[this.fixingIndex];
+        const originalNumber = this.editingIndex !== null
+            ? this.wines[this.editingIndex].wine_number
+            : (fixing ? WineSchema.normalizeRecord(fixing.record).wine.wine_number : null);
+        const duplicate = this.wines.findIndex((other, index) => index !== this.editingIndex && other.wine_number === wine.wine_number);
+        if (wine.wine_number && wine.wine_number !== originalNumber && duplicate !== -1) {
+            errors.push({ field: 'wine_number', message: `Bin ${wine.wine_number} is already used by ${this.wines[duplicate].wine_name}` });
+        }
+
+        this.clearFieldErrors();
+        if (errors.length > 0) {
+            errors.forEach(error => this.showFieldError(error.field, error.message));
+            return;
+        }
+
+        // Keep the fields the form does not edit (e.g. added by other tools)
+        if (fixing) {
+            // A fixed record goes back where it was in the list (fixing.index counts the rejected records before it)
+            const position = fixing.index - this.rejected.filter(entry => entry.index < fixing.index).length;
+            this.wines.splice(Math.min(position, this.wines.length), 0, { ...fixing.record, ...wine });
+            this.rejected.splice(this.fixingIndex, 1);
+            this.renderRejected();
+        } else if (this.editingIndex === null) {
+            this.wines.push(wine);
+        } else {
+            this.wines[this.editingIndex] = { ...this.wines[this.editingIndex], ...wine };
+        }
+
+        this.markChanged(`Saved ${wine.wine_name}`);
+        this.closeForm();
+    }
+
+    // Opens a rejected record in the form; it joins the list once it saves without errors
+    fixRejected(index) {
+        const { record, reasons } = this.rejected[index];
+        this.openForm(null, WineSchema.normalizeRecord(record).wine);
+        this.fixingIndex = index;
+        this.formTitle.textContent = `Fix ${record.wine_name || 'record'}`;
+        reasons.forEach(reason => this.showFieldError(reason.field, reason.message));
+    }
+
+    deleteRejected(index) {
+        const { record } = this.rejected[index];
+        if (!confirm(`Delete ${record.wine_name || 'this record'} (bin ${record.wine_number || '?'}) from the list?`)) return;
+
+        this.rejected.splice(index, 1);
+        if (this.fixingIndex !== null) this.closeForm();
+        this.renderRejected();
+        this.markChanged(`Deleted ${record.wine_name || 'a record'}`);
+    }
+
+    // Everything that is saved or exported: the wines plus the records still waiting to be fixed,
+    // each back at its place in the original list so nothing is dropped and the file order holds
+    getRecords() {
+        const records = [...this.wines];
+        [...this.rejected]
+            .sort((a, b) => a.index - b.index)
+            .forEach(entry => records.splice(Math.min(entry.index, records.length), 0, entry.record));
+        return records;
+    }
+
+    duplicateWine(index) {
+        // The copy is only added once it is saved, with the next free bin number
+        const copy = { ...this.wines[index], wine_number: this.getNextWineNumber() };
+        this.openForm(null, copy);
+        this.formTitle.textContent = `Duplicate ${copy.wine_name}`;
+    }
+
+    deleteWine(index) {
+        const wine = this.wines[index];
+        if (!confirm(`Delete ${wine.wine_name} (bin ${wine.wine_number})?`)) return;
+
+        this.wines.splice(index, 1);
+        if (this.editingIndex === index) this.closeForm();
+        this.markChanged(`Deleted ${wine.wine_name}`);
+    }
+
+    getNextWineNumber() {
+        const numbers = this.wines.map(wine => parseInt(wine.wine_number, 10)).filter(number => !isNaN(number));
+        return String(numbers.length > 0 ? Math.max(...numbers) + 1 : 1);
+    }
+
+    clearFieldErrors() {
+        this.form.querySelectorAll('.admin-field').forEach(field => {
+            field.classList.remove('has-error');
+            field.querySelector('.admin-field-error').textContent = '';
+        });
+    }
+
+    showFieldError(name, message) {
+        const field = this.form.querySelector(`.admin-field[data-field="${name}"]`);
+        if (!field) {
+            alert(message);
+            return;
+        }
+        field.classList.add('has-error');
+        const errorElement = field.querySelector('.admin-field-error');
+        errorElement.textContent = errorElement.textContent ? `${errorElement.textContent}; ${message}` : message;
+    }
+
+    markChanged(message) {
+        this.hasUnsavedChanges = true;
+        this.searchIndex = null;
+        this.renderRows();
+        this.renderStatus(message);
+    }
+
+    renderRows() {
+        let entries = this.wines.map((wine, index) => ({ wine, index }));
+
+        if (this.query) {
+            if (!this.searchIndex) {
+                this.searchIndex = new WineSearchIndex(this.wines);
+            }
+            const matches = new Set(this.searchIndex.search(this.query).map(result => result.wine));
+            entries = entries.filter(entry => matches.has(entry.wine));
+        }
+
+        const escape = WineSearchIndex.escapeHTML;
+        this.rows.innerHTML = entries.map(({ wine, index }) => `
+            <tr>
+                <td>${escape(wine.wine_number)}</td>
+                <td class="table-wine-name">${escape(wine.wine_name)}</td>
+                <td>${escape(wine.wine_producer || '')}</td>
+                <td>${escape(wine.region || '')}</td>
+                <td>${escape(wine.wine_type || '')}</td>
+                <td>${escape(this.formatPrices(wine))}</td>
+                <td class="admin-row-actions">
+                    <button type="button" class="admin-btn small" data-action="edit" data-index="${index}">Edit</button>
+                    <button type="button" class="admin-btn small" data-action="duplicate" data-index="${index}">Duplicate</button>
+                    <button type="button" class="admin-btn small danger" data-action="delete" data-index="${index}">Delete</button>
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="7" class="loading">No wines match</td></tr>';
+    }
+
+    // Records the schema rejected: not shown to guests, but kept in drafts and exports until fixed or deleted
+    renderRejected() {
+        const escape = WineSearchIndex.escapeHTML;
+        this.rejectedSection.hidden = this.rejected.length === 0;
+        this.rejectedSection.querySelector('.admin-rejected-count').textContent = this.rejected.length;
+        this.rejectedSection.querySelector('ul').innerHTML = this.rejected.map(({ record, reasons }, index) => `
+            <li>
+                <span class="admin-rejected-name">${escape(record.wine_name || '(no name)')} · bin ${escape(record.wine_number || '?')}</span>
+                <span class="admin-rejected-reasons">${escape(reasons.map(reason => reason.message).join('; '))}</span>
+                <span class="admin-row-actions">
+                    <button type="button" class="admin-btn small" data-action="fix" data-index="${index}">Fix</button>
+                    <button type="button" class="admin-btn small danger" data-action="delete" data-index="${index}">Delete</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    // Raw stored values; formatting belongs to the public pages
+    formatPrices(wine) {
+        return [
+            ['Glass', wine.wine_price_glass],
+            ['Split', wine.wine_price_split],
+            ['Bottle', wine.wine_price_bottle || wine.wine_price]
+        ]
+            .filter(([, price]) => price !== null && price !== undefined)
+            .map(([label, price]) => `${label} ${price}`)
+            .join(' · ');
+    }
+
+    renderStatus(message) {
+        const source = this.source.isDraft
+            ? `Editing the draft saved ${this.source.updatedAt.toLocaleString()}`
+            : 'Editing the published list';
+        const parts = [source, `${this.wines.length} wines`];
+        if (this.rejected.length > 0) parts.push(`${this.rejected.length} need fixing`);
+        if (this.hasUnsavedChanges) parts.push('unsaved changes');
+        if (message) parts.push(message);
+
+        this.status.textContent = parts.join(' · ');
+        document.getElementById('discardDraftBtn').disabled = !WineDataSource.loadDraft();
+    }
+
+    saveDraft() {
+        try {
+            const draft = WineDataSource.saveDraft(this.getRecords());
+            this.source = { updatedAt: new Date(draft.savedAt), isDraft: true };
+            this.hasUnsavedChanges = false;
+            this.renderStatus('Draft saved. Open "Preview Draft" to see it on the public pages.');
+        } catch (error) {
+            console.error('Could not save the draft:', error);
+            alert('The draft could not be saved (local storage may be full or disabled). Export the list instead.');
+        }
+    }
+
+    async discardDraft() {
+        if (!confirm('Discard the draft and reload the published list?')) return;
+
+        WineDataSource.clearDraft();
+        WineDataSource.setPreviewing(false);
+        this.hasUnsavedChanges = false;
+        this.closeForm();
+        await this.loadWines();
+    }
+
+    // Replaces the list being edited with the wines read from a spreadsheet export
+    async importCsv(file) {
+        let result;
+        try {
+            result = WineCsvImporter.import(await file.text(), { referenceWines: this.wines });
+        } catch (error) {
+            console.error('Could not import the CSV file:', error);
+            alert(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+
+        const { wines, report } = result;
+        this.renderImportReport(file.name, report);
+        if (wines.length === 0) {
+            this.renderStatus(`No wines found in ${file.name}`);
+            return;
+        }
+        const replaced = this.rejected.length > 0
+            ? `${this.wines.length} wines and ${this.rejected.length} records that need fixing`
+            : `${this.wines.length} wines`;
+        if (!confirm(`Replace the ${replaced} being edited with the ${wines.length} wines from ${file.name}?`)) return;
+
+        this.wines = wines;
+        this.rejected = [];
+        this.closeForm();
+        this.renderForm();
+        this.renderRejected();
+        this.markChanged(`Imported ${wines.length} wines from ${file.name}`);
+    }
+
+    renderImportReport(fileName, report) {
+        const container = document.getElementById('importReport');
+        const problems = [
+            ...report.rejected.map(entry => `Row ${entry.row}${entry.wine_name ? ` (${entry.wine_name})` : ''}: ${entry.reasons.join('; ')}`),
+            ...report.skipped.map(entry => `Row ${entry.row}: ${entry.reason}`),
+            ...(report.unmappedColumns.length > 0 ? [`Ignored columns: ${report.unmappedColumns.join(', ')}`] : [])
+        ];
+
+        container.querySelector('summary').textContent =
+            `${fileName}: ${report.imported} wines imported, ${report.rejected.length} rows not imported, ${report.skipped.length} skipped`;
+        container.querySelector('ul').innerHTML = problems
+            .map(problem => `<li>${WineSearchIndex.escapeHTML(problem)}</li>`)
+            .join('');
+        container.hidden = false;
+    }
+
+    exportWines() {
+        const blob = new Blob([WineDataSource.toJSON(this.getRecords())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'wines.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this.renderStatus(this.rejected.length > 0
+            ? `Exported wines.json, including the ${this.rejected.length} records that still need fixing (guests will not see them). Replace data/wines.json with it to publish.`
+            : 'Exported wines.json. Replace data/wines.json with it to publish.');
+    }
+}
+
+// Initialize the editor when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.wineEditor = new WineListEditor();
+});
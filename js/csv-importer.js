@@ -0,0 +1,312 @@
+// Gran Caffè L'Aquila - CSV / Spreadsheet Importer
+// Turns the wine list spreadsheet (saved as CSV) into wines.json records.
+// Shared by the admin editor and scripts/import-csv.js.
+
+class WineCsvImporter {
+    static get schema() {
+        return typeof WineSchema !== 'undefined' ? WineSchema : require('./wine-schema.js');
+    }
+
+    static get vintageParser() {
+        return typeof VintageParser !== 'undefined' ? VintageParser : require('./vintage-parser.js');
+    }
+
+    // Header spellings accepted for each wine field (compared after normalizeHeader())
+    static get columnAliases() {
+        return {
+            wine_number: ['bin', 'bin number', 'bin no', 'number', 'wine number', 'numero'],
+            wine_name: ['wine', 'wine name', 'name', 'nome', 'vino'],
+            wine_producer: ['producer', 'wine producer', 'winery', 'produttore', 'cantina'],
+            wine_vintage: ['vintage', 'wine vintage', 'appellation', 'annata', 'denominazione'],
+            wine_price: ['price', 'wine price', 'list price', 'prezzo'],
+            wine_price_glass: ['glass', 'glass price', 'price glass', 'by the glass', 'calice'],
+            wine_price_split: ['split', 'split price', 'price split', 'half bottle', '375ml', 'mezza'],
+            wine_price_bottle: ['bottle', 'bottle price', 'price bottle', 'bottiglia'],
+            wine_description: ['description', 'wine description', 'notes', 'tasting notes', 'descrizione'],
+            region: ['region', 'regione'],
+            wine_type: ['type', 'wine type', 'family', 'tipo', 'tipologia'],
+            category: ['category', 'section', 'categoria'],
+            organic: ['organic', 'bio', 'biologico'],
+            alcohol: ['alcohol', 'abv', 'alcol'],
+            aging: ['aging', 'ageing', 'affinamento'],
+            varietals: ['varietals', 'varietal', 'grapes', 'grape', 'vitigno', 'uvaggio'],
+            soil: ['soil', 'terreno'],
+            elevation: ['elevation', 'altitude', 'altitudine']
+        };
+    }
+
+    // List category used when the sheet has neither a category column nor section rows
+    static get defaultCategories() {
+        return {
+            ROSSO: 'VINI ROSSI',
+            BIANCO: 'VINI BIANCHI E ROSATI',
+            ROSATO: 'VINI BIANCHI E ROSATI',
+            ARANCIONE: 'ARANCIONE',
+            BOLLICINE: 'BOLLICINE'
+        };
+    }
+
+    /**
+     * Import a CSV document.
+     * options.delimiter - "," ";" or "\t"; detected from the header line when omitted
+     * options.columns - explicit { wine_field: "Header text" } mapping for unusual headers
+     * options.referenceWines - the current list; wines and appellations already on it lend their wine_type and category
+     * Returns { wines, report } where report lists every row that was not imported and why.
+     */
+    static import(text, options = {}) {
+        const rows = WineCsvImporter.parseCSV(text, options.delimiter);
+        const report = {
+            rows: rows.length,
+            imported: 0,
+            columns: {},
+            unmappedColumns: [],
+            sections: [],
+            skipped: [],
+            rejected: [],
+            repaired: []
+        };
+        const wines = [];
+        const reference = WineCsvImporter.buildReference(options.referenceWines || []);
+
+        const headerIndex = rows.findIndex(cells => WineCsvImporter.countMappedCells(cells, options.columns) >= 2);
+        if (headerIndex === -1) {
+            report.rejected.push({ row: 1, reasons: ['No header row with wine columns (e.g. "Bin", "Wine Name", "Price") was found'] });
+            return { wines, report };
+        }
+
+        const header = rows[headerIndex];
+        const columnMap = WineCsvImporter.mapColumns(header, options.columns);
+        Object.entries(columnMap).forEach(([index, field]) => {
+            report.columns[field] = header[index];
+        });
+        header.forEach((cell, index) => {
+            if (cell.trim() !== '' && !(index in columnMap)) report.unmappedColumns.push(cell.trim());
+        });
+
+        let section = null;
+        rows.forEach((cells, index) => {
+            const rowNumber = index + 1; // as numbered in the spreadsheet
+            if (index <= headerIndex) {
+                if (index < headerIndex && cells.some(cell => cell.trim() !== '')) {
+                    report.skipped.push({ row: rowNumber, reason: 'Above the header row', cells });
+                }
+                return;
+            }
+
+            const filled = cells.filter(cell => cell.trim() !== '');
+            if (filled.length === 0) return;
+
+            // Header rows repeated on every page of the spreadsheet
+            if (WineCsvImporter.countMappedCells(cells, options.columns) >= 2 || WineCsvImporter.isPlaceholderRow(cells, columnMap)) {
+                report.skipped.push({ row: rowNumber, reason: 'Repeated header row', cells });
+                return;
+            }
+
+            // A single filled cell is a section heading such as "VINI ROSSI" or "BOLLICINE"
+            if (filled.length === 1) {
+                section = filled[0].replace(/\s+/g, ' ').trim().toUpperCase();
+                report.sections.push({ row: rowNumber, category: section });
+                return;
+            }
+
+            const record = WineCsvImporter.buildRecord(cells, columnMap);
+            if (!record.category && section) {
+                record.category = section;
+            }
+            const inferred = WineCsvImporter.inferFromReference(record, reference);
+
+            const { wine, repairs, errors } = WineCsvImporter.schema.normalizeRecord(record);
+            repairs.push(...inferred);
+            if (!wine.category && wine.wine_type) {
+                const family = Object.keys(WineCsvImporter.defaultCategories).find(key => wine.wine_type.startsWith(key));
+                if (family) {
+                    repairs.push({ field: 'category', from: null, to: WineCsvImporter.defaultCategories[family], reason: 'Category inferred from wine_type' });
+                    wine.category = WineCsvImporter.defaultCategories[family];
+                }
+            }
+
+            if (errors.length > 0) {
+                report.rejected.push({ row: rowNumber, wine_name: wine.wine_name, reasons: errors.map(error => error.message), cells });
+                return;
+            }
+            if (repairs.length > 0) {
+                report.repaired.push({ row: rowNumber, wine_name: wine.wine_name, repairs });
+            }
+            wines.push(wine);
+        });
+
+        report.imported = wines.length;
+        return { wines, report };
+    }
+
+    // Lookups built from the current list: the same wine, and the usual family of each appellation
+    static buildReference(wines) {
+        const byWine = new Map();
+        const appellationCounts = new Map();
+
+        wines.forEach(wine => {
+            if (!wine.wine_type) return;
+            byWine.set(WineCsvImporter.wineKey(wine), wine);
+
+            const appellation = WineCsvImporter.vintageParser.parse(wine.wine_vintage).appellation;
+            if (appellation) {
+                const counts = appellationCounts.get(appellation) || {};
+                counts[wine.wine_type] = (counts[wine.wine_type] || 0) + 1;
+                appellationCounts.set(appellation, counts);
+            }
+        });
+
+        const byAppellation = new Map();
+        appellationCounts.forEach((counts, appellation) => {
+            const [type] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+            byAppellation.set(appellation, type);
+        });
+
+        return { byWine, byAppellation };
+    }
+
+    static wineKey(wine) {
+        return `${wine.wine_name || ''}|${wine.wine_producer || ''}`.toUpperCase().replace(/\s+/g, ' ').trim();
+    }
+
+    // Fills a missing wine_type / category in place and returns the repairs made
+    static inferFromReference(record, reference) {
+        const repairs = [];
+        const repair = (field, to, reason) => {
+            repairs.push({ field, from: record[field], to, reason });
+            record[field] = to;
+        };
+
+        const known = reference.byWine.get(WineCsvImporter.wineKey(record));
+        if (!record.wine_type && known) {
+            repair('wine_type', known.wine_type, 'Missing wine_type taken from the same wine on the current list');
+        }
+        if (!record.category && known && known.category) {
+            repair('category', known.category, 'Missing category taken from the same wine on the current list');
+        }
+        if (!record.wine_type) {
+            const appellation = WineCsvImporter.vintageParser.parse(record.wine_vintage).appellation;
+            if (appellation && reference.byAppellation.has(appellation)) {
+                repair('wine_type', reference.byAppellation.get(appellation), `Missing wine_type inferred from other ${appellation} wines`);
+            }
+        }
+
+        return repairs;
+    }
+
+    // RFC 4180 CSV: quoted fields, doubled quotes, line breaks inside quotes, CRLF and a BOM
+    static parseCSV(text, delimiter) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const separator = delimiter || WineCsvImporter.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                field = '';
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    // Spreadsheets exported with a European locale use ";" between fields
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+        const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+        return counts.sort((a, b) => b.count - a.count)[0].count > 0 ? counts[0].delimiter : ',';
+    }
+
+    static normalizeHeader(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[_#.:]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    static fieldForHeader(text, columns = {}) {
+        const header = WineCsvImporter.normalizeHeader(text);
+        if (!header) return null;
+
+        const explicit = Object.keys(columns).find(field => WineCsvImporter.normalizeHeader(columns[field]) === header);
+        if (explicit) return explicit;
+
+        const aliases = WineCsvImporter.columnAliases;
+        return Object.keys(aliases).find(field =>
+            field === header.replace(/ /g, '_') || aliases[field].includes(header)) || null;
+    }
+
+    // column index -> wine field; the first column with a given meaning wins
+    static mapColumns(header, columns) {
+        const map = {};
+        const used = new Set();
+        header.forEach((cell, index) => {
+            const field = WineCsvImporter.fieldForHeader(cell, columns);
+            if (field && !used.has(field)) {
+                map[index] = field;
+                used.add(field);
+            }
+        });
+        return map;
+    }
+
+    static countMappedCells(cells, columns) {
+        return new Set(cells.map(cell => WineCsvImporter.fieldForHeader(cell, columns)).filter(Boolean)).size;
+    }
+
+    // Rows such as "WINE NAME" / "VINTAGE" under their own column that slipped into the data before
+    static isPlaceholderRow(cells, columnMap) {
+        const placeholders = WineCsvImporter.schema.placeholderNames;
+        return Object.keys(columnMap).some(index => placeholders.includes(String(cells[index] || '').trim().toUpperCase()));
+    }
+
+    // Every schema field in order, null where the sheet has no value
+    static buildRecord(cells, columnMap) {
+        const record = {};
+        Object.keys(WineCsvImporter.schema.fields).forEach(field => {
+            record[field] = null;
+        });
+        Object.entries(columnMap).forEach(([index, field]) => {
+            const value = cells[index] === undefined ? '' : cells[index].trim();
+            record[field] = value === '' ? null : value;
+        });
+        // "Yes", "sì", "x" and the like; a blank cell means not organic
+        record.organic = record.organic === null ? false : WineCsvImporter.schema.parseBoolean(record.organic, /^x$/i.test(record.organic));
+        return record;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineCsvImporter;
+}
@@ -0,0 +1,777 @@
+// Gran Caffè L'Aquila - Interface Translations (Italian / English)
+// Wine data stays as written in the list; only the interface around it is translated.
+
+// Keys are grouped by where the text appears. "{name}" placeholders are filled by t().
+// Keys ending in ".one" / ".other" are picked by count.
+const I18N_CATALOGUE = {
+    en: {
+        'language.label': 'Language',
+
+        // Wine families
+        'family.ROSSO': 'Red Wines',
+        'family.BIANCO': 'White Wines',
+        'family.ROSATO': 'Rosé Wines',
+        'family.ARANCIONE': 'Orange Wines',
+        'family.BOLLICINE': 'Sparkling Wines',
+        'family.NON ALCOLICO': 'Non-Alcoholic Wines',
+        'family.default': 'Wines',
+        'familyShort.ROSSO': 'Red',
+        'familyShort.BIANCO': 'White',
+        'familyShort.ROSATO': 'Rosé',
+        'familyShort.ARANCIONE': 'Orange',
+        'familyShort.BOLLICINE': 'Sparkling',
+        'familyShort.NON ALCOLICO': 'Non-Alcoholic',
+        'familyShort.default': 'Wine',
+
+        // Home page
+        'home.subtitle': 'DIGITAL WINE LIST',
+        'home.present': 'present',
+        'home.tagline': 'Begin the journey',
+        'home.card.ROSSO': 'RED WINES',
+        'home.card.BIANCO': 'WHITE WINES',
+        'home.card.ROSATO': 'ROSÉ WINES',
+        'home.card.ARANCIONE': 'ORANGE WINES',
+        'home.card.BOLLICINE': 'SPARKLING',
+        'home.card.NON ALCOLICO': 'NON-ALCOHOLIC',
+        'home.cardSubtitle.ROSSO': 'Bold & Complex',
+        'home.cardSubtitle.BIANCO': 'Crisp & Refreshing',
+        'home.cardSubtitle.ROSATO': 'Elegant & Delicate',
+        'home.cardSubtitle.ARANCIONE': 'Skin-Contact Whites',
+        'home.cardSubtitle.BOLLICINE': 'Celebratory & Vibrant',
+        'home.cardSubtitle.NON ALCOLICO': 'Zero Alcohol Selections',
+        'home.filterRegion': 'Filter by Region',
+        'home.filterVarietal': 'Filter by Varietal',
+
+        // Navigation
+        'nav.home': 'Home',
+        'nav.wineRegions': 'Wine Regions',
+        'nav.backToMain': 'Back to Main',
+        'nav.backToHome': 'Back to Home',
+        'nav.backToRegions': 'Back to Regions',
+        'nav.backToWines': 'Back to Wines',
+        'nav.backToRegionType': 'Back to {region} {type}',
+        'nav.backToRegionWines': 'Back to {region} Wines',
+
+        // Shared controls
+        'control.searchWines': 'Search wines...',
+        'control.searchWinesLabel': 'Search wines',
+        'control.searchRegionsLabel': 'Search regions',
+        'control.searchRegions': 'Search regions...',
+        'control.matchingWines': 'Matching wines',
+        'control.filter': 'Filter',
+        'control.byTheGlass': 'By the Glass',
+        'control.gridView': 'Grid View',
+        'control.tableView': 'Table View',
+        'control.sortBy': 'Sort by',
+        'control.loading': 'Loading...',
+        'control.loadingWines': 'Loading wines...',
+        'sort.listOrder': 'Wine List Order',
+        'sort.price-asc': 'Price: Low to High',
+        'sort.price-desc': 'Price: High to Low',
+        'sort.vintage-desc': 'Vintage: Newest First',
+        'sort.vintage-asc': 'Vintage: Oldest First',
+        'sort.name-asc': 'Name: A to Z',
+        'sort.name-desc': 'Name: Z to A',
+        'sort.producer-asc': 'Producer: A to Z',
+        'sort.producer-desc': 'Producer: Z to A',
+        'sort.bin-asc': 'Bin Number',
+        'sort.bin-desc': 'Bin Number: Descending',
+
+        // Regions page
+        'regions.subtitle': 'WINE REGIONS',
+        'regions.typeSubtitle': '{type} - REGIONS',
+        'regions.typeBreadcrumb': '{type} Regions',
+        'regions.selectTitle': 'SELECT A REGION',
+        'regions.count.one': '{count} region',
+        'regions.count.other': '{count} regions',
+        'regions.column.name': 'Region Name',
+        'regions.column.count': 'Wine Count',
+        'regions.column.description': 'Description',
+        'regions.column.action': 'Action',
+        'regionDescription.TOSCANA': 'Famous for Chianti and Brunello wines',
+        'regionDescription.PIEMONTE': 'Home of Barolo and Barbaresco',
+        'regionDescription.VENETO': 'Known for Amarone and Prosecco',
+        'regionDescription.SICILIA': 'Mediterranean climate, diverse terroir',
+        'regionDescription.LOMBARDIA': 'Northern region with Alpine influences',
+        'regionDescription.EMILIA-ROMAGNA': 'Rich culinary tradition, Lambrusco',
+        'regionDescription.LAZIO': 'Central Italy, Frascati and Est! Est!! Est!!!',
+        'regionDescription.CAMPANIA': 'Ancient winemaking traditions',
+        'regionDescription.PUGLIA': 'Southern Italy, Primitivo and Negroamaro',
+        'regionDescription.SARDEGNA': 'Island wines with unique character',
+        'regionDescription.default': 'Explore the wines of this region',
+
+        // Wines page and wine cards
+        'wines.subtitle': 'WINE SELECTION',
+        'wines.regionSubtitle': '{region} WINES',
+        'wines.regionTitle': '{region} Wines',
+        'wines.regionSection': '{region} SELECTION',
+        'wines.count.one': '{count} wine',
+        'wines.count.other': '{count} wines',
+        'filter.results.one': '{count} wine matches',
+        'filter.results.other': '{count} wines match',
+        'wines.column.name': 'Wine Name',
+        'wines.column.producer': 'Producer',
+        'wines.column.region': 'Region',
+        'wines.column.grape': 'Grape',
+        'wines.column.year': 'Year',
+        'wines.column.price': 'Price',
+        'wines.column.action': 'Action',
+        'wine.producerNotSpecified': 'Producer not specified',
+        'wine.defaultDescription': 'A fine wine selection.',
+        'wine.collectionDescription': 'A fine wine selection from our curated collection.',
+        'action.explore': 'Explore',
+        'action.exploreWine': 'Explore Wine',
+        'common.na': 'N/A',
+        'common.yes': 'Yes',
+        'common.no': 'No',
+        'vintage.nonVintage': 'NV',
+
+        // Prices
+        'price.glass': 'Glass',
+        'price.split': 'Split',
+        'price.bottle': 'Bottle',
+        'price.soldOut': 'Sold Out',
+        'price.under': 'Under {price}',
+        'price.andAbove': '{price} and above',
+
+        // Wine details page
+        'details.subtitle': 'WINE DETAILS',
+        'details.tastingNotes': 'Tasting Notes',
+        'details.wineInformation': 'Wine Information',
+        'details.pairings': 'Recommended Pairings',
+        'details.aboutProducer': 'About the Producer',
+        'details.grapeVariety': 'Grape Variety',
+        'details.appellation': 'Appellation',
+        'details.classification': 'Classification',
+        'details.vintage': 'Vintage',
+        'details.alcohol': 'Alcohol',
+        'details.aging': 'Aging',
+        'details.soil': 'Soil',
+        'details.elevation': 'Elevation',
+        'details.organic': 'Organic',
+        'details.producer': 'Producer',
+        'details.category': 'Category',
+        'details.wineType': 'Wine Type',
+        'details.region': 'Region',
+        'details.subzone': 'Sub-zone',
+        'details.comune': 'Comune',
+        'details.cru': 'Vineyard (MGA/Cru)',
+        'details.alcoholContent': 'Alcohol Content',
+        'details.agingProcess': 'Aging Process',
+        'details.soilType': 'Soil Type',
+        'details.certifiedOrganic': 'Certified Organic',
+        'details.conventional': 'Conventional',
+        'details.bottlePhoto': 'Bottle of {name}',
+        'details.labelArt': 'Label of {name}',
+        'details.profileTitle': 'Organoleptic Profile',
+        'tasting.body': 'Body',
+        'tasting.body.low': 'Light',
+        'tasting.body.high': 'Full',
+        'tasting.acidity': 'Acidity',
+        'tasting.acidity.low': 'Soft',
+        'tasting.acidity.high': 'Crisp',
+        'tasting.tannin': 'Tannin',
+        'tasting.tannin.low': 'Silky',
+        'tasting.tannin.high': 'Firm',
+        'tasting.sweetness': 'Sweetness',
+        'tasting.sweetness.low': 'Dry',
+        'tasting.sweetness.high': 'Sweet',
+        'tasting.alcohol': 'Alcohol',
+        'tasting.alcohol.low': 'Light',
+        'tasting.alcohol.high': 'Warm',
+        'tasting.score': '{scale}: {score} of 5',
+        'tasting.aromas': 'Aromas',
+        'details.profilePending': 'Our expert sommelier team is currently crafting a detailed organoleptic profile for this exceptional wine. We are carefully analyzing its complex aromas, flavors, and characteristics to provide you with the most comprehensive tasting notes. Please check back soon for our detailed sensory analysis.',
+
+        // Food pairings: dish names and reasons are in data/pairings.json
+
+        // Producers
+        'producer.subtitle': 'PRODUCER',
+        'producer.notAvailable': 'Producer Information Not Available',
+        'producer.winesTitle': 'WINES FROM THIS PRODUCER',
+        'producer.website': 'Visit Website',
+        'producer.listed.one': 'We list one wine from this producer, from {regions}, showcasing the terroir and winemaking traditions of the area.',
+        'producer.listed.other': 'We list {count} wines from this producer, from {regions}, showcasing the terroir and winemaking traditions of the area.',
+        'producer.organicNote': 'Some of these wines are produced using organic methods.',
+        'producer.defaultRegion': 'Italy',
+        'producer.onList.one': '{count} wine on our list',
+        'producer.onList.other': '{count} wines on our list',
+
+        // Related wines (wine details page)
+        'related.title': 'You Might Also Like',
+        'related.sameGrape': '{grape} from Other Regions',
+        'related.sameRegion': 'More from {region}, at Other Prices',
+        'related.sameProducer': 'More from {producer}',
+
+        // Filter panel
+        'filter.title': 'Filter Wines',
+        'filter.clear': 'Clear Filters',
+        'filter.close': 'Close',
+        'facet.region': 'Region',
+        'facet.family': 'Wine Family',
+        'facet.grape': 'Grape',
+        'facet.style': 'Style',
+        'style.light-bodied': 'Light-bodied',
+        'style.medium-bodied': 'Medium-bodied',
+        'style.full-bodied': 'Full-bodied',
+        'style.soft-tannin': 'Soft tannin',
+        'style.high-tannin': 'High tannin',
+        'style.high-acidity': 'High acidity',
+        'style.dry': 'Dry',
+        'style.off-dry': 'Off-dry',
+        'style.sweet': 'Sweet',
+        'facet.classification': 'Classification',
+        'facet.appellation': 'Appellation',
+        'facet.organic': 'Organic',
+        'facet.price': 'Price Range',
+
+        // Search
+        'search.noResults': 'No wines match "{query}"',
+
+        // Sharing
+        'share.button': 'Share the Wine',
+        'share.title': 'Share this Wine',
+        'share.link': 'Share Link:',
+        'share.close': 'Close',
+        'share.copy': 'Copy link',
+        'share.copied': 'Link copied',
+        'share.native': 'Share…',
+        'share.download': 'Download image',
+        'share.failed': 'This device could not share it. Copy the link below instead.',
+        'share.imageSaved': 'Image saved. Add it to an Instagram story or post.',
+        'share.instagram': 'To share on Instagram, copy the link below and paste it into your story or caption.',
+        // Message sent with the link, e.g. "BAROLO by VIETTI (Red, PIEMONTE, 2019) on the wine list of ..."
+        'share.byProducer': '{name} by {producer}',
+        'share.wineText': '{wine} ({details}) on the wine list of Gran Caffè L\'Aquila',
+        'share.listText.one': '{count} wine from Gran Caffè L\'Aquila: {wines}',
+        'share.listText.other': '{count} wines from Gran Caffè L\'Aquila: {wines}',
+        'share.cardFooter': 'From the wine list of Gran Caffè L\'Aquila',
+        'share.cardAlt': 'Share card for {name}',
+        'share.cardAltList.one': 'Share card listing {count} wine',
+        'share.cardAltList.other': 'Share card listing {count} wines',
+        'share.more.one': '+ {count} more wine',
+        'share.more.other': '+ {count} more wines',
+
+        // Errors
+        'error.loadFailed': 'Failed to load wine data. Please refresh the page.',
+        'error.wineNotFound': 'Wine not found',
+        'error.wineDetailsUnavailable': 'Wine details not available',
+        'error.producerNotFound': 'Producer not found',
+
+        // Connection status
+        'status.label': 'Wine list status',
+        'status.updated': 'Updated {date}',
+        'status.offline': 'Offline · list from {date}',
+        'status.offlineUnavailable': 'Offline · wine list not available',
+
+        // Draft preview (see admin.html)
+        'preview.banner': 'Previewing the draft wine list saved {date}',
+        'preview.exit': 'Exit preview',
+
+        // Printable list (print.html)
+        'print.subtitle': 'PRINTABLE WINE LIST',
+        'print.title': 'Wine List',
+        'print.action': 'Print list',
+        'print.category': 'Section',
+        'print.allCategories': 'All sections',
+        'print.allFamilies': 'All families',
+        'print.allRegions': 'All regions',
+        'print.column.bin': 'Bin',
+        'print.column.wine': 'Wine',
+        'print.column.vintage': 'Appellation / Vintage',
+        'print.otherWines': 'Other Wines',
+        'print.printed': 'Printed {date}',
+        'print.empty': 'No wines match these options',
+
+        // My selection (selection.html)
+        'selection.link': 'My Selection',
+        'selection.title': 'MY SELECTION',
+        'selection.add': 'Save {name} to my selection',
+        'selection.remove': 'Remove {name} from my selection',
+        'selection.save': 'Save to my selection',
+        'selection.saved': 'In my selection',
+        'selection.empty': 'Tap the heart on any wine to save it here.',
+        'selection.serverHeading': 'I would like',
+        'selection.showServer': 'Show to your server',
+        'selection.exitLarge': 'Back to my selection',
+        'selection.share': 'Share selection',
+        'selection.shareTitle': 'My wine selection at Gran Caffè L\'Aquila',
+        'selection.linkCopied': 'Link copied. Open it on another phone to see the same selection.',
+        'selection.clear': 'Clear selection',
+        'selection.clearConfirm': 'Remove every wine from your selection?',
+        'selection.imported.one': 'Added {count} wine from a shared selection',
+        'selection.imported.other': 'Added {count} wines from a shared selection',
+        'selection.missing.one': '{count} saved wine is no longer on the list',
+        'selection.missing.other': '{count} saved wines are no longer on the list',
+
+        // Wine comparison (compare.html)
+        'compare.title': 'WINE COMPARISON',
+        'compare.pageTitle': 'Compare Wines',
+        'compare.legend': 'Highlighted rows show where the wines differ',
+        'compare.addLabel': 'Compare {name}',
+        'compare.removeLabel': 'Remove {name} from the comparison',
+        'compare.remove': 'Remove {name}',
+        'compare.trayLabel': 'Wines to compare',
+        'compare.count': '{count} of {max} wines to compare',
+        'compare.full': 'You can compare up to {max} wines',
+        'compare.needMore': 'Choose at least two wines to compare',
+        'compare.open': 'Compare',
+        'compare.clear': 'Clear',
+
+        // Sommelier wizard (home page)
+        'sommelier.start': 'Ask the Sommelier',
+        'sommelier.title': 'Ask the Sommelier',
+        'sommelier.progress': 'Step {step} of {total}',
+        'sommelier.question.family': 'What would you like to drink?',
+        'sommelier.question.course': 'What are you eating?',
+        'sommelier.question.serving': 'A glass or a bottle?',
+        'sommelier.question.budget': 'How much would you like to spend on a bottle?',
+        'sommelier.question.budgetGlass': 'How much would you like to spend on a glass?',
+        'sommelier.question.body': 'Light or bold?',
+        'sommelier.question.sweetness': 'Dry or sweet?',
+        'sommelier.question.organic': 'Anything else?',
+        'sommelier.noPreference': 'No preference',
+        'sommelier.justTheWine': 'Just the wine',
+        'sommelier.serving.glass': 'A glass',
+        'sommelier.serving.bottle': 'A bottle',
+        'sommelier.noLimit': 'No limit',
+        'sommelier.body.light': 'Light and fresh',
+        'sommelier.body.bold': 'Bold and full-bodied',
+        'sommelier.sweetness.dry': 'Dry',
+        'sommelier.sweetness.sweet': 'Sweet',
+        'sommelier.organic': 'Organic if possible',
+        'sommelier.back': 'Back',
+        'sommelier.next': 'Next',
+        'sommelier.showMatches': 'Show My Wines',
+        'sommelier.close': 'Close',
+        'sommelier.resultsTitle': 'The Sommelier Suggests',
+        'sommelier.restart': 'Change My Answers',
+        'sommelier.clear': 'Clear Suggestions',
+        'sommelier.noMatches': 'No wine on the list matches these answers. Try another style or serving.',
+        'sommelier.overBudget': 'Nothing fits this budget, so here are the closest wines above it.',
+        'sommelier.reason.pairs': 'Pairs with {dish}',
+        'sommelier.reason.light': 'Light and fresh',
+        'sommelier.reason.bold': 'Bold and full-bodied',
+        'sommelier.reason.sweet': 'Sweet',
+        'sommelier.reason.organic': 'Organic',
+        'sommelier.reason.origin': '{family} from {region}'
+    },
+    it: {
+        'language.label': 'Lingua',
+
+        'family.ROSSO': 'Vini Rossi',
+        'family.BIANCO': 'Vini Bianchi',
+        'family.ROSATO': 'Vini Rosati',
+        'family.ARANCIONE': 'Vini Arancioni',
+        'family.BOLLICINE': 'Bollicine',
+        'family.NON ALCOLICO': 'Vini Analcolici',
+        'family.default': 'Vini',
+        'familyShort.ROSSO': 'Rosso',
+        'familyShort.BIANCO': 'Bianco',
+        'familyShort.ROSATO': 'Rosato',
+        'familyShort.ARANCIONE': 'Arancione',
+        'familyShort.BOLLICINE': 'Bollicine',
+        'familyShort.NON ALCOLICO': 'Analcolico',
+        'familyShort.default': 'Vino',
+
+        'home.subtitle': 'CARTA DEI VINI DIGITALE',
+        'home.present': 'presenta',
+        'home.tagline': 'Inizia il viaggio',
+        'home.card.ROSSO': 'VINI ROSSI',
+        'home.card.BIANCO': 'VINI BIANCHI',
+        'home.card.ROSATO': 'VINI ROSATI',
+        'home.card.ARANCIONE': 'VINI ARANCIONI',
+        'home.card.BOLLICINE': 'BOLLICINE',
+        'home.card.NON ALCOLICO': 'ANALCOLICI',
+        'home.cardSubtitle.ROSSO': 'Strutturati e complessi',
+        'home.cardSubtitle.BIANCO': 'Freschi e sapidi',
+        'home.cardSubtitle.ROSATO': 'Eleganti e delicati',
+        'home.cardSubtitle.ARANCIONE': 'Bianchi macerati sulle bucce',
+        'home.cardSubtitle.BOLLICINE': 'Festosi e vivaci',
+        'home.cardSubtitle.NON ALCOLICO': 'Selezioni senza alcol',
+        'home.filterRegion': 'Filtra per regione',
+        'home.filterVarietal': 'Filtra per vitigno',
+
+        'nav.home': 'Home',
+        'nav.wineRegions': 'Regioni del vino',
+        'nav.backToMain': 'Torna alla home',
+        'nav.backToHome': 'Torna alla home',
+        'nav.backToRegions': 'Torna alle regioni',
+        'nav.backToWines': 'Torna ai vini',
+        'nav.backToRegionType': 'Torna a {region} – {type}',
+        'nav.backToRegionWines': 'Torna ai vini di {region}',
+
+        'control.searchWines': 'Cerca vini...',
+        'control.searchWinesLabel': 'Cerca vini',
+        'control.searchRegionsLabel': 'Cerca regioni',
+        'control.searchRegions': 'Cerca regioni...',
+        'control.matchingWines': 'Vini trovati',
+        'control.filter': 'Filtra',
+        'control.byTheGlass': 'Al calice',
+        'control.gridView': 'Griglia',
+        'control.tableView': 'Tabella',
+        'control.sortBy': 'Ordina per',
+        'control.loading': 'Caricamento...',
+        'control.loadingWines': 'Caricamento vini...',
+        'sort.listOrder': 'Ordine della carta',
+        'sort.price-asc': 'Prezzo: crescente',
+        'sort.price-desc': 'Prezzo: decrescente',
+        'sort.vintage-desc': 'Annata: più recente',
+        'sort.vintage-asc': 'Annata: meno recente',
+        'sort.name-asc': 'Nome: A-Z',
+        'sort.name-desc': 'Nome: Z-A',
+        'sort.producer-asc': 'Produttore: A-Z',
+        'sort.producer-desc': 'Produttore: Z-A',
+        'sort.bin-asc': 'Numero in carta',
+        'sort.bin-desc': 'Numero in carta: decrescente',
+
+        'regions.subtitle': 'REGIONI DEL VINO',
+        'regions.typeSubtitle': '{type} - REGIONI',
+        'regions.typeBreadcrumb': 'Regioni – {type}',
+        'regions.selectTitle': 'SCEGLI UNA REGIONE',
+        'regions.count.one': '{count} regione',
+        'regions.count.other': '{count} regioni',
+        'regions.column.name': 'Regione',
+        'regions.column.count': 'Vini',
+        'regions.column.description': 'Descrizione',
+        'regions.column.action': 'Azione',
+        'regionDescription.TOSCANA': 'Celebre per Chianti e Brunello',
+        'regionDescription.PIEMONTE': 'La patria di Barolo e Barbaresco',
+        'regionDescription.VENETO': 'Terra di Amarone e Prosecco',
+        'regionDescription.SICILIA': 'Clima mediterraneo, terroir variegato',
+        'regionDescription.LOMBARDIA': 'Regione del nord con influenze alpine',
+        'regionDescription.EMILIA-ROMAGNA': 'Ricca tradizione gastronomica, Lambrusco',
+        'regionDescription.LAZIO': 'Italia centrale, Frascati ed Est! Est!! Est!!!',
+        'regionDescription.CAMPANIA': 'Antiche tradizioni vinicole',
+        'regionDescription.PUGLIA': 'Sud Italia, Primitivo e Negroamaro',
+        'regionDescription.SARDEGNA': 'Vini isolani dal carattere unico',
+        'regionDescription.default': 'Scopri i vini di questa regione',
+
+        'wines.subtitle': 'SELEZIONE DI VINI',
+        'wines.regionSubtitle': 'VINI - {region}',
+        'wines.regionTitle': 'Vini - {region}',
+        'wines.regionSection': 'SELEZIONE - {region}',
+        'wines.count.one': '{count} vino',
+        'wines.count.other': '{count} vini',
+        'filter.results.one': '{count} vino corrisponde',
+        'filter.results.other': '{count} vini corrispondono',
+        'wines.column.name': 'Vino',
+        'wines.column.producer': 'Produttore',
+        'wines.column.region': 'Regione',
+        'wines.column.grape': 'Vitigno',
+        'wines.column.year': 'Annata',
+        'wines.column.price': 'Prezzo',
+        'wines.column.action': 'Azione',
+        'wine.producerNotSpecified': 'Produttore non indicato',
+        'wine.defaultDescription': 'Un\'ottima selezione.',
+        'wine.collectionDescription': 'Un\'ottima selezione dalla nostra carta.',
+        'action.explore': 'Scopri',
+        'action.exploreWine': 'Scopri il vino',
+        'common.na': 'N/D',
+        'common.yes': 'Sì',
+        'common.no': 'No',
+        'vintage.nonVintage': 'NV',
+
+        'price.glass': 'Calice',
+        'price.split': 'Mezza',
+        'price.bottle': 'Bottiglia',
+        'price.soldOut': 'Esaurito',
+        'price.under': 'Fino a {price}',
+        'price.andAbove': 'Da {price} in su',
+
+        'details.subtitle': 'DETTAGLI DEL VINO',
+        'details.tastingNotes': 'Note di degustazione',
+        'details.wineInformation': 'Informazioni sul vino',
+        'details.pairings': 'Abbinamenti consigliati',
+        'details.aboutProducer': 'Il produttore',
+        'details.grapeVariety': 'Vitigno',
+        'details.appellation': 'Denominazione',
+        'details.classification': 'Classificazione',
+        'details.vintage': 'Annata',
+        'details.alcohol': 'Alcol',
+        'details.aging': 'Affinamento',
+        'details.soil': 'Terreno',
+        'details.elevation': 'Altitudine',
+        'details.organic': 'Biologico',
+        'details.producer': 'Produttore',
+        'details.category': 'Categoria',
+        'details.wineType': 'Tipologia',
+        'details.region': 'Regione',
+        'details.subzone': 'Sottozona',
+        'details.comune': 'Comune',
+        'details.cru': 'Vigna (MGA/Cru)',
+        'details.alcoholContent': 'Gradazione alcolica',
+        'details.agingProcess': 'Affinamento',
+        'details.soilType': 'Tipo di terreno',
+        'details.certifiedOrganic': 'Biologico certificato',
+        'details.conventional': 'Convenzionale',
+        'details.bottlePhoto': 'Bottiglia di {name}',
+        'details.labelArt': 'Etichetta di {name}',
+        'details.profileTitle': 'Profilo organolettico',
+        'tasting.body': 'Corpo',
+        'tasting.body.low': 'Leggero',
+        'tasting.body.high': 'Pieno',
+        'tasting.acidity': 'Acidità',
+        'tasting.acidity.low': 'Morbida',
+        'tasting.acidity.high': 'Vivace',
+        'tasting.tannin': 'Tannino',
+        'tasting.tannin.low': 'Setoso',
+        'tasting.tannin.high': 'Deciso',
+        'tasting.sweetness': 'Dolcezza',
+        'tasting.sweetness.low': 'Secco',
+        'tasting.sweetness.high': 'Dolce',
+        'tasting.alcohol': 'Alcol',
+        'tasting.alcohol.low': 'Leggero',
+        'tasting.alcohol.high': 'Caldo',
+        'tasting.score': '{scale}: {score} su 5',
+        'tasting.aromas': 'Profumi',
+        'details.profilePending': 'Il nostro team di sommelier sta preparando un profilo organolettico dettagliato per questo vino. Stiamo analizzando con cura aromi, sapori e caratteristiche per offrirvi note di degustazione complete. Tornate a trovarci presto per la nostra analisi sensoriale.',
+
+        'producer.subtitle': 'PRODUTTORE',
+        'producer.notAvailable': 'Informazioni sul produttore non disponibili',
+        'producer.winesTitle': 'I VINI DI QUESTO PRODUTTORE',
+        'producer.website': 'Visita il sito',
+        'producer.listed.one': 'In carta abbiamo un vino di questo produttore, da {regions}, espressione del terroir e della tradizione vinicola del territorio.',
+        'producer.listed.other': 'In carta abbiamo {count} vini di questo produttore, da {regions}, espressione del terroir e della tradizione vinicola del territorio.',
+        'producer.organicNote': 'Alcuni di questi vini sono prodotti con metodi biologici.',
+        'producer.defaultRegion': 'Italia',
+        'producer.onList.one': '{count} vino in carta',
+        'producer.onList.other': '{count} vini in carta',
+
+        'related.title': 'Potrebbe piacerti anche',
+        'related.sameGrape': '{grape} da altre regioni',
+        'related.sameRegion': 'Altri vini da {region}, ad altri prezzi',
+        'related.sameProducer': 'Altri vini di {producer}',
+
+        'filter.title': 'Filtra i vini',
+        'filter.clear': 'Azzera filtri',
+        'filter.close': 'Chiudi',
+        'facet.region': 'Regione',
+        'facet.family': 'Tipologia',
+        'facet.grape': 'Vitigno',
+        'facet.style': 'Stile',
+        'style.light-bodied': 'Corpo leggero',
+        'style.medium-bodied': 'Corpo medio',
+        'style.full-bodied': 'Corpo pieno',
+        'style.soft-tannin': 'Tannino morbido',
+        'style.high-tannin': 'Tannino deciso',
+        'style.high-acidity': 'Acidità vivace',
+        'style.dry': 'Secco',
+        'style.off-dry': 'Abboccato',
+        'style.sweet': 'Dolce',
+        'facet.classification': 'Classificazione',
+        'facet.appellation': 'Denominazione',
+        'facet.organic': 'Biologico',
+        'facet.price': 'Fascia di prezzo',
+
+        'search.noResults': 'Nessun vino corrisponde a "{query}"',
+
+        'share.button': 'Condividi il vino',
+        'share.title': 'Condividi questo vino',
+        'share.link': 'Link da condividere:',
+        'share.close': 'Chiudi',
+        'share.copy': 'Copia il link',
+        'share.copied': 'Link copiato',
+        'share.native': 'Condividi…',
+        'share.download': 'Scarica l\'immagine',
+        'share.failed': 'Questo dispositivo non riesce a condividerlo. Copia il link qui sotto.',
+        'share.imageSaved': 'Immagine salvata. Aggiungila a una storia o a un post di Instagram.',
+        'share.instagram': 'Per condividere su Instagram, copia il link qui sotto e incollalo nella storia o nella didascalia.',
+        'share.byProducer': '{name} di {producer}',
+        'share.wineText': '{wine} ({details}) nella carta dei vini del Gran Caffè L\'Aquila',
+        'share.listText.one': '{count} vino del Gran Caffè L\'Aquila: {wines}',
+        'share.listText.other': '{count} vini del Gran Caffè L\'Aquila: {wines}',
+        'share.cardFooter': 'Dalla carta dei vini del Gran Caffè L\'Aquila',
+        'share.cardAlt': 'Immagine da condividere di {name}',
+        'share.cardAltList.one': 'Immagine da condividere con {count} vino',
+        'share.cardAltList.other': 'Immagine da condividere con {count} vini',
+        'share.more.one': '+ {count} altro vino',
+        'share.more.other': '+ altri {count} vini',
+
+        'error.loadFailed': 'Impossibile caricare la carta dei vini. Ricarica la pagina.',
+        'error.wineNotFound': 'Vino non trovato',
+        'error.wineDetailsUnavailable': 'Dettagli del vino non disponibili',
+        'error.producerNotFound': 'Produttore non trovato',
+
+        'status.label': 'Stato della carta dei vini',
+        'status.updated': 'Aggiornata il {date}',
+        'status.offline': 'Offline · carta del {date}',
+        'status.offlineUnavailable': 'Offline · carta dei vini non disponibile',
+
+        'preview.banner': 'Anteprima della bozza della carta salvata il {date}',
+        'preview.exit': 'Esci dall\'anteprima',
+
+        'print.subtitle': 'CARTA DEI VINI DA STAMPARE',
+        'print.title': 'Carta dei Vini',
+        'print.action': 'Stampa la carta',
+        'print.category': 'Sezione',
+        'print.allCategories': 'Tutte le sezioni',
+        'print.allFamilies': 'Tutte le tipologie',
+        'print.allRegions': 'Tutte le regioni',
+        'print.column.bin': 'N.',
+        'print.column.wine': 'Vino',
+        'print.column.vintage': 'Denominazione / Annata',
+        'print.otherWines': 'Altri vini',
+        'print.printed': 'Stampata il {date}',
+        'print.empty': 'Nessun vino corrisponde alle opzioni scelte',
+
+        'selection.link': 'La mia selezione',
+        'selection.title': 'LA MIA SELEZIONE',
+        'selection.add': 'Salva {name} nella mia selezione',
+        'selection.remove': 'Togli {name} dalla mia selezione',
+        'selection.save': 'Salva nella mia selezione',
+        'selection.saved': 'Nella mia selezione',
+        'selection.empty': 'Tocca il cuore su un vino per salvarlo qui.',
+        'selection.serverHeading': 'Vorrei',
+        'selection.showServer': 'Mostra al cameriere',
+        'selection.exitLarge': 'Torna alla selezione',
+        'selection.share': 'Condividi la selezione',
+        'selection.shareTitle': 'La mia selezione di vini al Gran Caffè L\'Aquila',
+        'selection.linkCopied': 'Link copiato. Aprilo su un altro telefono per vedere la stessa selezione.',
+        'selection.clear': 'Svuota la selezione',
+        'selection.clearConfirm': 'Togliere tutti i vini dalla selezione?',
+        'selection.imported.one': 'Aggiunto {count} vino da una selezione condivisa',
+        'selection.imported.other': 'Aggiunti {count} vini da una selezione condivisa',
+        'selection.missing.one': '{count} vino salvato non è più in carta',
+        'selection.missing.other': '{count} vini salvati non sono più in carta',
+
+        'compare.title': 'CONFRONTO VINI',
+        'compare.pageTitle': 'Confronta i vini',
+        'compare.legend': 'Le righe evidenziate mostrano dove i vini sono diversi',
+        'compare.addLabel': 'Confronta {name}',
+        'compare.removeLabel': 'Togli {name} dal confronto',
+        'compare.remove': 'Togli {name}',
+        'compare.trayLabel': 'Vini da confrontare',
+        'compare.count': '{count} di {max} vini da confrontare',
+        'compare.full': 'Puoi confrontare al massimo {max} vini',
+        'compare.needMore': 'Scegli almeno due vini da confrontare',
+        'compare.open': 'Confronta',
+        'compare.clear': 'Annulla',
+
+        'sommelier.start': 'Chiedi al sommelier',
+        'sommelier.title': 'Chiedi al sommelier',
+        'sommelier.progress': 'Passo {step} di {total}',
+        'sommelier.question.family': 'Cosa vorresti bere?',
+        'sommelier.question.course': 'Cosa mangi?',
+        'sommelier.question.serving': 'Un calice o una bottiglia?',
+        'sommelier.question.budget': 'Quanto vorresti spendere per una bottiglia?',
+        'sommelier.question.budgetGlass': 'Quanto vorresti spendere per un calice?',
+        'sommelier.question.body': 'Leggero o strutturato?',
+        'sommelier.question.sweetness': 'Secco o dolce?',
+        'sommelier.question.organic': 'Altro?',
+        'sommelier.noPreference': 'Nessuna preferenza',
+        'sommelier.justTheWine': 'Solo il vino',
+        'sommelier.serving.glass': 'Un calice',
+        'sommelier.serving.bottle': 'Una bottiglia',
+        'sommelier.noLimit': 'Nessun limite',
+        'sommelier.body.light': 'Leggero e fresco',
+        'sommelier.body.bold': 'Strutturato e corposo',
+        'sommelier.sweetness.dry': 'Secco',
+        'sommelier.sweetness.sweet': 'Dolce',
+        'sommelier.organic': 'Biologico, se possibile',
+        'sommelier.back': 'Indietro',
+        'sommelier.next': 'Avanti',
+        'sommelier.showMatches': 'Mostra i miei vini',
+        'sommelier.close': 'Chiudi',
+        'sommelier.resultsTitle': 'Il sommelier consiglia',
+        'sommelier.restart': 'Cambia le risposte',
+        'sommelier.clear': 'Cancella i consigli',
+        'sommelier.noMatches': 'Nessun vino della carta corrisponde a queste risposte. Prova un altro stile o servizio.',
+        'sommelier.overBudget': 'Nessun vino rientra in questo budget: ecco i più vicini.',
+        'sommelier.reason.pairs': 'Si abbina a: {dish}',
+        'sommelier.reason.light': 'Leggero e fresco',
+        'sommelier.reason.bold': 'Strutturato e corposo',
+        'sommelier.reason.sweet': 'Dolce',
+        'sommelier.reason.organic': 'Biologico',
+        'sommelier.reason.origin': '{family}, {region}'
+    }
+};
+
+class I18n {
+    constructor() {
+        this.language = this.loadLanguage();
+    }
+
+    static get languages() {
+        return ['en', 'it'];
+    }
+
+    static get defaultLanguage() {
+        return 'en';
+    }
+
+    // Built once when the script loads; t() reads it on every call
+    static get catalogue() {
+        return I18N_CATALOGUE;
+    }
+
+    loadLanguage() {
+        try {
+            const saved = localStorage.getItem('gcaLanguage');
+            if (I18n.languages.includes(saved)) return saved;
+        } catch (error) {
+            // Storage can be unavailable (e.g. private browsing)
+        }
+
+        // First visit: follow the browser
+        const browserLanguage = (typeof navigator !== 'undefined' && navigator.language) || '';
+        return browserLanguage.toLowerCase().startsWith('it') ? 'it' : I18n.defaultLanguage;
+    }
+
+    setLanguage(language) {
+        if (!I18n.languages.includes(language)) return;
+
+        this.language = language;
+        try {
+            localStorage.setItem('gcaLanguage', language);
+        } catch (error) {
+            console.warn('Could not save language preference:', error);
+        }
+    }
+
+    // Translate a key, filling "{name}" placeholders; params.count selects the ".one"/".other" form
+    t(key, params = {}) {
+        const catalogue = I18n.catalogue;
+        if (typeof params.count === 'number' && !I18n.lookup(catalogue, this.language, key)) {
+            key = `${key}.${params.count === 1 ? 'one' : 'other'}`;
+        }
+
+        const text = I18n.lookup(catalogue, this.language, key) ||
+            I18n.lookup(catalogue, I18n.defaultLanguage, key);
+        if (text === undefined) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+
+        return text.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? params[name] : match
+        );
+    }
+
+    // True when the catalogue has the key, so callers can fall back for open-ended keys
+    has(key) {
+        return I18n.lookup(I18n.catalogue, I18n.defaultLanguage, key) !== undefined;
+    }
+
+    static lookup(catalogue, language, key) {
+        return catalogue[language] ? catalogue[language][key] : undefined;
+    }
+
+    // Static page text is marked up with data-i18n (text), data-i18n-placeholder and data-i18n-aria-label
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.setAttribute('placeholder', this.t(element.getAttribute('data-i18n-placeholder')));
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.getAttribute('data-i18n-aria-label')));
+        });
+        document.documentElement.setAttribute('lang', this.language);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
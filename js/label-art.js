@@ -0,0 +1,98 @@
+// Gran Caffè L'Aquila - Generated Label Art
+// Draws an SVG bottle with a label (name, producer, appellation and year) for wines without a photo.
+// Shared by the browser app and the Node scripts in scripts/.
+
+class WineLabelArt {
+    // Family colours, as on the wine family indicators
+    static get familyColors() {
+        return {
+            'ROSSO': '#8B0000',
+            'BIANCO': '#2C5F2D',
+            'ROSATO': '#8B4B8C',
+            'ARANCIONE': '#B8651B',
+            'BOLLICINE': '#1E3A8A',
+            'NON ALCOLICO': '#4A6F7C'
+        };
+    }
+
+    static escape(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    static truncate(text, maxChars) {
+        const value = String(text || '').trim();
+        return value.length > maxChars ? value.slice(0, maxChars - 1).trim() + '…' : value;
+    }
+
+    // Breaks text into at most maxLines lines of about maxChars characters. A longer word keeps its own line
+    // (the caller shrinks the type to fit); text left over after the last line is cut with "…"
+    static wrap(text, maxChars, maxLines) {
+        const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+        const lines = [];
+        words.forEach(word => {
+            const last = lines[lines.length - 1];
+            if (last !== undefined && (last + ' ' + word).length <= maxChars) {
+                lines[lines.length - 1] = last + ' ' + word;
+            } else {
+                lines.push(word);
+            }
+        });
+
+        if (lines.length > maxLines) {
+            lines.length = maxLines;
+            const last = lines[maxLines - 1];
+            lines[maxLines - 1] = (last.length >= maxChars ? last.slice(0, maxChars - 2).trim() : last) + '…';
+        }
+        return lines.map(line => WineLabelArt.truncate(line, 16));
+    }
+
+    /**
+     * SVG markup for a bottle with a label.
+     * label.name / label.producer / label.appellation / label.year - text printed on the label
+     * label.family - wine family (ROSSO, BIANCO, ...) for the capsule and label band colour
+     * label.title - accessible name; defaults to the wine name
+     */
+    static render(label = {}) {
+        const color = WineLabelArt.familyColors[label.family] || WineLabelArt.familyColors.ROSSO;
+        const escape = WineLabelArt.escape;
+
+        // The name is set as large as its longest line allows on the 88px-wide label (capitals run about 0.72em)
+        const nameLines = WineLabelArt.wrap(String(label.name || '').toUpperCase(), 10, 3);
+        const longest = Math.max(1, ...nameLines.map(line => line.length));
+        const nameSize = Math.min(18, Math.floor(88 / (longest * 0.72)));
+        const nameTop = 318 - (nameLines.length - 1) * nameSize * 0.55;
+        const producer = WineLabelArt.truncate(String(label.producer || '').replace(/\*/g, '').toUpperCase(), 20);
+        const appellation = WineLabelArt.truncate(String(label.appellation || '').toUpperCase(), 22);
+
+        return `<svg class="label-art" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 500" role="img" aria-label="${escape(label.title || label.name)}">
+    <defs>
+        <linearGradient id="labelArtGlass" x1="0" x2="1" y1="0" y2="0">
+            <stop offset="0" stop-color="#050505"/>
+            <stop offset="0.35" stop-color="#2a2a2a"/>
+            <stop offset="0.6" stop-color="#111"/>
+            <stop offset="1" stop-color="#000"/>
+        </linearGradient>
+    </defs>
+    <path d="M85 20 h30 v110 c0 30 45 45 45 95 v240 c0 12 -8 20 -20 20 h-80 c-12 0 -20 -8 -20 -20 v-240 c0 -50 45 -65 45 -95 z" fill="url(#labelArtGlass)" stroke="#D4AF37" stroke-opacity="0.35" stroke-width="2"/>
+    <rect x="83" y="18" width="34" height="62" rx="3" fill="${color}"/>
+    <rect x="83" y="72" width="34" height="4" fill="#D4AF37" opacity="0.8"/>
+    <rect x="48" y="240" width="104" height="160" rx="4" fill="#F5F5F0"/>
+    <rect x="48" y="240" width="104" height="14" rx="4" fill="${color}"/>
+    <rect x="54" y="260" width="92" height="134" fill="none" stroke="#D4AF37" stroke-width="1"/>
+    <text x="100" y="281" text-anchor="middle" font-family="Cormorant, Georgia, serif" font-size="9" letter-spacing="1" fill="#4a4a4a">${escape(producer)}</text>
+    ${nameLines.map((line, index) => `<text x="100" y="${(nameTop + index * nameSize * 1.1).toFixed(1)}" text-anchor="middle" font-family="Cinzel, Georgia, serif" font-size="${nameSize}" font-weight="600" fill="#0A0A0A">${escape(line)}</text>`).join('\n    ')}
+    <line x1="75" y1="358" x2="125" y2="358" stroke="#D4AF37" stroke-width="1"/>
+    <text x="100" y="372" text-anchor="middle" font-family="Cormorant, Georgia, serif" font-size="8" fill="#4a4a4a">${escape(appellation)}</text>
+    <text x="100" y="386" text-anchor="middle" font-family="Cinzel, Georgia, serif" font-size="10" fill="${color}">${escape(label.year || '')}</text>
+</svg>`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineLabelArt;
+}
@@ -5,67 +5,99 @@ class WineListApp {
         this.wines = [];
         this.filteredWines = [];
         this.currentView = 'grid';
-        this.currentFilters = {
-            type: null,
-            region: null,
-            search: ''
-        };
+        this.currentFilters = this.createEmptyPageFilters();
+        this.currentSort = null;
+        this.byTheGlassOnly = this.loadByTheGlassPreference();
+        this.facetFilters = this.loadFacetFilters();
+        this.selection = this.loadSelection();
+        this.selectionLargeType = false;
+        this.compareList = this.loadCompareList();
+        this.maxCompareWines = 4;
+        this.sommelierAnswers = this.loadSommelierAnswers();
+        this.sommelierMatchCount = 3;
+        this.maxRelatedWines = 4;
+        this.i18n = new I18n();
+        this.priceFormatter = new PriceFormatter();
+        this.priceFormats = new WeakMap();
+        this.wineKeys = new WeakMap();
+        this.pairingEngine = new PairingEngine();
         
         this.init();
     }
 
     async init() {
+        // Translate the static page text before anything is rendered; a page pre-rendered in the guest's language already is
+        const prerendered = this.getPrerenderedState();
+        if (!prerendered || prerendered.language !== this.i18n.language) {
+            this.i18n.translatePage();
+        }
+        this.setupLanguageSwitcher();
+        this.setupSelectionLink();
+        this.setupShareManager();
+        this.setupConnectionStatus();
+        this.setupLiveRegion();
+        this.registerServiceWorker();
+        this.handlePreviewParameter();
+
         try {
+            await this.loadSettings();
+            await this.loadPairingRules();
             await this.loadWineData();
             this.setupEventListeners();
             this.handleURLParameters();
-            this.renderCurrentPage();
+            if (this.isPrerenderedPageCurrent()) {
+                this.hydratePage();
+            } else {
+                this.renderCurrentPage();
+            }
         } catch (error) {
             console.error('Error initializing wine list app:', error);
-            this.showError('Failed to load wine data. Please refresh the page.');
+            this.showError(this.t('error.loadFailed'));
         }
     }
 
     async loadWineData() {
         try {
-            const response = await fetch('data/wines.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
+            // Validated and normalized by WineSchema; the report is kept for inspection
+            const { wines, report, updatedAt, isDraft } = await WineDataSource.load({
+                useDraft: WineDataSource.isPreviewing()
+            });
+            this.wines = wines;
+            this.validationReport = report;
+            this.dataUpdatedAt = updatedAt;
+            this.isDraftPreview = isDraft;
             
-            // Filter out corrupted wines with invalid regions
-            const validRegions = [
-                'SICILIA', 'PIEMONTE', 'TOSCANA', 'VENETO', 'LOMBARDIA', 'EMILIA-ROMAGNA',
-                'LAZIO', 'CAMPANIA', 'PUGLIA', 'CALABRIA', 'BASILICATA', 'MOLISE',
-                'ABRUZZO', 'UMBRIA', 'LE MARCHE', 'FRIULI-VENEZIA GIULIA', 'FRIULI', 'TRENTINO ALTO-ADIGE',
-                'VALLE D\'AOSTA', 'LIGURIA', 'SARDEGNA', 'TOSCANA (BOLGHERI)', 'LUGANA DOC (VENETO)',
-                'TARANTO IGT (PUGLIA)', 'MATERA DOC (BASILICATA)'
-            ];
+            // Read every wine's serving formats into numbers once, rendering only formats them
+            this.wines.forEach(wine => this.priceFormats.set(wine, this.parsePriceFormats(wine)));
+
+            // Selections and comparisons saved by bin number before wines had keys
+            this.selection = this.resolveWineKeys(this.selection);
+            this.compareList = this.resolveWineKeys(this.compareList);
             
-            this.wines = (data.wines || []).filter(wine => {
-                // Filter out wines with corrupted data
-                const hasValidRegion = wine.region && validRegions.includes(wine.region);
-                const hasValidName = wine.wine_name && wine.wine_name !== 'WINE NAME' && wine.wine_name !== 'WINE PRICE' && wine.wine_name !== 'VINTAGE';
-                const hasValidProducer = wine.wine_producer && wine.wine_producer !== 'UNKNOWN PRODUCER';
-                const hasValidPrice = (wine.wine_price && wine.wine_price !== '0') || 
-                                     (wine.wine_price_bottle && wine.wine_price_bottle !== '0') ||
-                                     (wine.wine_price_glass && wine.wine_price_glass !== '0');
-                
-                // Filter out sangria and cocktail wines
-                const isNotSangriaOrCocktail = wine.wine_type && 
-                    !wine.wine_type.toUpperCase().includes('SANGRIA') && 
-                    !wine.wine_type.toUpperCase().includes('COCKTAIL');
-                
-                return hasValidRegion && hasValidName && hasValidProducer && hasValidPrice && isNotSangriaOrCocktail;
-            });
+            if (report.rejected.length > 0) {
+                console.warn(`Rejected ${report.rejected.length} wine records:`, report.rejected);
+            }
+            if (report.repaired.length > 0) {
+                console.log(`Repaired ${report.repaired.length} wine records:`, report.repaired);
+            }
             
             this.filteredWines = [...this.wines];
-            console.log(`Loaded ${this.wines.length} valid wines (filtered out corrupted data)`);
+            console.log(`Loaded ${this.wines.length} valid wines (${report.rejected.length} rejected, ${report.repaired.length} repaired)`);
+            
+            // Build the search index over every text field
+            this.searchIndex = new WineSearchIndex(this.wines, {
+                getExtraFields: wine => ({
+                    family: this.getWineTypeName(this.getWineFamily(wine.wine_type)),
+                    organic: wine.organic ? 'organic' : ''
+                })
+            });
             
             // Load wine images mapping
             await this.loadWineImages();
             
+            // Load producer profiles and name aliases
+            await this.loadProducerData();
+            
         // Debug: Log wine family distribution
         this.logWineFamilyDistribution();
         
@@ -79,27 +111,264 @@ class WineListApp {
             // Fallback to empty array if data loading fails
             this.wines = [];
             this.filteredWines = [];
+            this.dataUpdatedAt = null;
+            this.isDraftPreview = false;
+        }
+
+        this.updateConnectionStatus();
+        this.renderPreviewBanner();
+    }
+
+    // "?preview=draft" shows the editor's saved draft on every page until "?preview=off" or the banner's exit link
+    handlePreviewParameter() {
+        const preview = new URLSearchParams(window.location.search).get('preview');
+        if (preview === 'draft') WineDataSource.setPreviewing(true);
+        if (preview === 'off') WineDataSource.setPreviewing(false);
+    }
+
+    renderPreviewBanner() {
+        let banner = document.querySelector('.draft-preview-banner');
+        if (!this.isDraftPreview) {
+            if (banner) banner.remove();
+            return;
+        }
+
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.className = 'draft-preview-banner';
+            banner.setAttribute('role', 'status');
+            document.body.insertBefore(banner, document.body.firstChild);
+
+            banner.addEventListener('click', (e) => {
+                if (e.target.closest('.draft-preview-exit')) {
+                    e.preventDefault();
+                    WineDataSource.setPreviewing(false);
+                    window.location.reload();
+                }
+            });
+        }
+
+        banner.innerHTML = `
+            <span>${this.t('preview.banner', { date: this.formatDateTime(this.dataUpdatedAt) })}</span>
+            <a href="#" class="draft-preview-exit">${this.t('preview.exit')}</a>
+        `;
+    }
+
+    // Reload after the service worker downloaded a newer wines.json
+    async reloadWineData() {
+        console.log('Wine data changed, reloading');
+        await this.loadSettings();
+        await this.loadWineData();
+        this.refreshCurrentPage();
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => console.log('Service worker registered for', registration.scope))
+            .catch(error => console.warn('Service worker registration failed:', error));
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'wine-data-updated') {
+                this.reloadWineData();
+            }
+        });
+    }
+
+    // Small "offline / last updated" note in the corner of every page
+    setupConnectionStatus() {
+        if (document.querySelector('.connection-status')) return;
+
+        const status = document.createElement('div');
+        status.className = 'connection-status';
+        status.setAttribute('role', 'status');
+        document.body.appendChild(status);
+
+        window.addEventListener('online', () => this.updateConnectionStatus());
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+        this.updateConnectionStatus();
+    }
+
+    // Screen reader announcements, e.g. how many wines are left after filtering
+    setupLiveRegion() {
+        if (document.getElementById('liveRegion')) return;
+
+        const region = document.createElement('div');
+        region.id = 'liveRegion';
+        region.className = 'sr-only';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+    }
+
+    announce(message) {
+        const region = document.getElementById('liveRegion');
+        if (region && message) {
+            region.textContent = message;
+        }
+    }
+
+    // Announced once the guest stops typing or ticking filters, not on every keystroke
+    announceResults() {
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => this.announce(this.getResultsAnnouncement()), 500);
+    }
+
+    getResultsAnnouncement() {
+        switch (this.getCurrentPage()) {
+            case 'index':
+            case 'wines':
+                return this.t('filter.results', { count: this.filteredWines.length });
+            case 'regions': {
+                const count = document.querySelector('.regions-count');
+                return count ? count.textContent : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    updateConnectionStatus() {
+        const status = document.querySelector('.connection-status');
+        if (!status) return;
+
+        const isOffline = navigator.onLine === false;
+        const date = this.dataUpdatedAt ? this.formatDateTime(this.dataUpdatedAt) : null;
+
+        let text = '';
+        if (isOffline) {
+            text = date ? this.t('status.offline', { date }) : this.t('status.offlineUnavailable');
+        } else if (date) {
+            text = this.t('status.updated', { date });
+        }
+
+        status.textContent = text;
+        status.setAttribute('aria-label', this.t('status.label'));
+        status.classList.toggle('offline', isOffline);
+        status.style.display = text ? '' : 'none';
+    }
+
+    formatDateTime(date) {
+        try {
+            return new Intl.DateTimeFormat(this.i18n.language, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+        } catch (error) {
+            return date.toLocaleString();
+        }
+    }
+
+    async loadSettings() {
+        // data/settings.json is optional: without it prices use PriceFormatter.defaults
+        try {
+            const response = await fetch('data/settings.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const settings = await response.json();
+            this.priceFormatter = new PriceFormatter(settings.pricing || {});
+            console.log(`Prices shown in ${this.priceFormatter.currency} (${this.priceFormatter.locale})`);
+        } catch (error) {
+            console.log('No settings loaded, using default price format:', error.message);
+        }
+    }
+
+    async loadPairingRules() {
+        // data/pairings.json holds the sommelier's pairing rules; without it no pairings are shown
+        try {
+            const response = await fetch('data/pairings.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.pairingEngine = new PairingEngine(await response.json());
+            console.log(`Loaded ${this.pairingEngine.rules.length} pairing rules`);
+        } catch (error) {
+            console.log('No pairing rules loaded:', error.message);
         }
     }
 
     async loadWineImages() {
-        // Wine images mapping integrated directly in the code
-        this.wineImages = {
-            "LAMBRUSCO": "https://www.agraria.org/vini/lambrusco.jpg",
-            "MONTEPULCIANO D'ABRUZZO": "https://www.agraria.org/vini/montepulciano-d-abruzzo.jpg",
-            "CHIANTI CLASSICO": "https://www.agraria.org/vini/chianti-classico.jpg",
-            "BAROLO": "https://www.agraria.org/vini/barolo.jpg",
-            "BRUNELLO DI MONTALCINO": "https://www.agraria.org/vini/brunello-di-montalcino.jpg"
-        };
-        console.log(`Loaded ${Object.keys(this.wineImages).length} wine images`);
+        // data/images.json is optional: without it every wine gets its generated label art
+        this.wineImages = { wines: {}, producers: {}, appellations: {} };
+        try {
+            const response = await fetch('data/images.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.wineImages = {
+                wines: data.wines || {},
+                producers: data.producers || {},
+                appellations: data.appellations || {}
+            };
+            console.log(`Loaded ${Object.keys(this.wineImages.wines).length} wine photos`);
+        } catch (error) {
+            console.log('No wine photos loaded:', error.message);
+        }
     }
 
+    // Listeners on the document, set up once; the page's own controls are wired by setupViewListeners
     setupEventListeners() {
+        // Save / remove buttons on cards, table rows and the details page
+        document.addEventListener('click', (e) => {
+            const selectionButton = e.target.closest('.selection-btn');
+            if (selectionButton) {
+                e.preventDefault();
+                this.toggleSelection(selectionButton.getAttribute('data-wine-id'));
+            }
+        });
+
+        // Compare buttons and the comparison tray
+        document.addEventListener('click', (e) => {
+            const compareButton = e.target.closest('.compare-btn');
+            if (compareButton) {
+                e.preventDefault();
+                this.toggleCompare(compareButton.getAttribute('data-wine-id'));
+            }
+            if (e.target.closest('.compare-clear-btn')) {
+                this.setCompareList([]);
+            }
+        });
+
+        // Explore wine buttons
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('explore-wine') || e.target.classList.contains('table-explore-btn')) {
+                e.preventDefault();
+                this.exploreWine(e.target);
+            }
+        });
+
+        // Explore region buttons
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('explore-region') || e.target.classList.contains('table-explore-region-btn')) {
+                e.preventDefault();
+                this.exploreRegion(e.target);
+            }
+        });
+
+        // Close the home page's live search results when clicking anywhere outside the search box
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-input-wrapper')) {
+                this.closeSearchResults();
+            }
+        });
+
+        // Links between the pages are followed without reloading
+        this.setupRouter();
+
+        // Wine card hover effects
+        this.setupHoverEffects();
+
+        this.setupViewListeners();
+    }
+
+    // Controls inside the page content; wired again each time the router swaps in another page
+    setupViewListeners() {
         // Search functionality
         const searchInputs = document.querySelectorAll('.luxury-search-input');
         searchInputs.forEach(input => {
             input.addEventListener('input', (e) => {
-                this.currentFilters.search = e.target.value.toLowerCase();
+                this.setSearchQuery(e.target.value);
                 if (this.getCurrentPage() === 'regions') {
                     this.filterRegions();
                 } else if (this.getCurrentPage() === 'index') {
@@ -107,9 +376,13 @@ class WineListApp {
                 } else {
                     this.applyFilters();
                 }
+                this.announceResults();
             });
         });
 
+        // Live search results on the home page
+        this.setupSearchResultsDropdown();
+
         // Filter buttons
         const filterButtons = document.querySelectorAll('.luxury-filter-btn, .filter-button');
         filterButtons.forEach(button => {
@@ -128,31 +401,70 @@ class WineListApp {
             tableViewBtn.addEventListener('click', () => this.toggleView('table'));
         }
 
-        // Explore wine buttons
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('explore-wine') || e.target.classList.contains('table-explore-btn')) {
-                e.preventDefault();
-                this.exploreWine(e.target);
-            }
-        });
+        // Sort controls
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => {
+                const sort = this.parseSortParameter(e.target.value);
+                this.setSort(sort ? sort.key : null, sort ? sort.direction : null);
+            });
+        }
 
-        // Explore region buttons
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('explore-region') || e.target.classList.contains('table-explore-region-btn')) {
-                e.preventDefault();
-                this.exploreRegion(e.target);
-            }
-        });
+        const wineTableHead = document.querySelector('#wineTable thead');
+        if (wineTableHead) {
+            wineTableHead.addEventListener('click', (e) => {
+                const header = e.target.closest('th[data-sort]');
+                if (header) {
+                    this.toggleSortColumn(header.getAttribute('data-sort'));
+                }
+            });
+        }
 
-        // Wine card hover effects
-        this.setupHoverEffects();
+        // The comparison tray follows the guest around every page except the comparison itself
+        this.setupCompareTray();
+
+        // "My selection" page actions
+        const largeTypeBtn = document.getElementById('largeTypeBtn');
+        if (largeTypeBtn) {
+            largeTypeBtn.addEventListener('click', () => this.setSelectionLargeType(!this.selectionLargeType));
+            document.getElementById('shareSelectionBtn').addEventListener('click', () => this.shareSelection());
+            document.getElementById('clearSelectionBtn').addEventListener('click', () => this.clearSelection());
+        }
+
+        // Sommelier wizard on the home page
+        const sommelierBtn = document.getElementById('sommelierBtn');
+        if (sommelierBtn) {
+            sommelierBtn.addEventListener('click', () => this.showSommelierWizard());
+            document.getElementById('sommelierRestartBtn').addEventListener('click', () => this.showSommelierWizard());
+            document.getElementById('sommelierClearBtn').addEventListener('click', () => this.clearSommelierResults());
+        }
+
+        // Printable list options
+        const printControls = document.querySelector('.print-controls');
+        if (printControls) {
+            printControls.addEventListener('change', (e) => {
+                const filter = e.target.getAttribute('data-print-filter');
+                if (filter) {
+                    this.setPrintFilter(filter, e.target.value || null);
+                }
+            });
+            document.getElementById('printListBtn').addEventListener('click', () => window.print());
+        }
+
+        // By the glass toggle
+        const glassToggleBtn = document.getElementById('glassToggleBtn');
+        if (glassToggleBtn) {
+            glassToggleBtn.addEventListener('click', () => this.setByTheGlass(!this.byTheGlassOnly));
+            this.updateByTheGlassToggle();
+        }
     }
 
     handleURLParameters() {
-        const urlParams = new URLSearchParams(window.location.search);
+        const urlParams = this.getPageParams();
         const type = urlParams.get('type');
         const region = urlParams.get('region');
-        const wineId = urlParams.get('id');
+        const sort = urlParams.get('sort');
+        const category = urlParams.get('category');
 
         if (type) {
             this.currentFilters.type = type;
@@ -162,13 +474,20 @@ class WineListApp {
             this.currentFilters.region = decodeURIComponent(region);
             console.log(`Region from URL: ${region} -> decoded: ${this.currentFilters.region}`);
         }
-        if (wineId) {
-            this.loadWineDetails(wineId);
+        if (sort) {
+            this.currentSort = this.parseSortParameter(sort);
+        }
+        if (category) {
+            this.currentFilters.category = category;
+        }
+        if (this.getCurrentPage() === 'selection' && urlParams.get('wines')) {
+            this.importSharedSelection(urlParams.get('wines'));
         }
     }
 
     renderCurrentPage() {
         const currentPage = this.getCurrentPage();
+        this.renderPriceNote();
         
         switch (currentPage) {
             case 'index':
@@ -183,133 +502,365 @@ class WineListApp {
             case 'wine-details':
                 this.renderWineDetailsPage();
                 break;
+            case 'producer':
+                this.renderProducerPage();
+                break;
+            case 'print':
+                this.renderPrintPage();
+                break;
+            case 'selection':
+                this.renderSelectionPage();
+                break;
+            case 'compare':
+                this.renderComparePage();
+                break;
         }
+
+        this.updateFilterButtons();
     }
 
-    getCurrentPage() {
-        const path = window.location.pathname;
-        if (path.includes('regions')) return 'regions';
-        if (path.includes('wines')) return 'wines';
-        if (path.includes('wine-details')) return 'wine-details';
-        return 'index';
+    // The public pages of the list; the router moves between them without reloading the document
+    static get pages() {
+        return ['index', 'regions', 'wines', 'wine-details', 'producer', 'print', 'selection', 'compare'];
     }
 
-    renderHomePage() {
-        // Update wine type cards with actual wine counts
-        const wineTypes = ['ROSSO', 'BIANCO', 'ROSATO', 'ARANCIONE', 'BOLLICINE', 'NON ALCOLICO'];
-        const wineCards = document.querySelectorAll('.luxury-wine-card');
-        
-        wineCards.forEach((card, index) => {
-            if (wineTypes[index]) {
-                const count = this.wines.filter(wine => this.wineMatchesFamily(wine, wineTypes[index])).length;
-                const countElement = card.querySelector('.wine-count');
-                if (countElement) {
-                    countElement.textContent = `${count} wines`;
-                }
-            }
-        });
+    getCurrentPage() {
+        return this.getPageForUrl(this.getPageUrl()) || 'index';
     }
 
-    renderRegionsPage() {
-        const regionsContainer = document.querySelector('.regions-container');
-        if (!regionsContainer) {
-            console.error('Regions container not found');
-            return;
-        }
+    // The URL of the page being shown. A page pre-rendered by scripts/prerender.js (wine/556-tignanello.html)
+    // names the page it was rendered from in <meta name="app-route">; its own query string (?sort=...) still applies
+    getPageUrl() {
+        const route = document.querySelector('meta[name="app-route"]');
+        if (!route) return window.location.href;
 
-        // Get all unique regions from wines (filtered by type if specified)
-        let winesToUse = this.wines;
-        if (this.currentFilters.type) {
-            winesToUse = this.wines.filter(wine => this.wineMatchesFamily(wine, this.currentFilters.type));
-        }
-        
-        // Get unique regions using normalized names to avoid duplicates
-        const regionSet = new Set();
-        winesToUse
-            .filter(wine => wine.region && wine.region.trim() !== '')
-            .forEach(wine => {
-                const normalizedRegion = this.normalizeRegionName(wine.region);
-                regionSet.add(normalizedRegion);
-            });
-        
-        this.allRegions = [...regionSet].sort();
+        const url = new URL(route.content, document.baseURI);
+        new URLSearchParams(window.location.search).forEach((value, key) => url.searchParams.set(key, value));
+        url.hash = window.location.hash;
+        return url.href;
+    }
 
-        console.log(`Found ${this.allRegions.length} regions for type: ${this.currentFilters.type || 'all'}`);
+    getPageParams() {
+        return new URL(this.getPageUrl()).searchParams;
+    }
 
-        // Update page title based on filter
-        this.updatePageTitle();
+    // A fingerprint of the list and the data the pages are rendered from; scripts/prerender.js saves it with each page
+    getDataStamp() {
+        const text = JSON.stringify([this.wines, this.wineImages, this.producers, this.producerAliases,
+            this.priceFormatter, this.pairingEngine]);
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
 
-        // Update breadcrumb
-        this.updateBreadcrumb();
+    // The language and data stamp a page pre-rendered by scripts/prerender.js was saved with; null on the other pages
+    getPrerenderedState() {
+        const language = document.querySelector('meta[name="app-language"]');
+        const data = document.querySelector('meta[name="app-data"]');
+        return language && data ? { language: language.content, data: data.content } : null;
+    }
 
-        // Render region cards
-        this.filterRegions();
+    // A pre-rendered page already shows what the app would render when it was saved from the same data in the
+    // guest's language and the guest has no filters, by the glass preference, sort or draft preview applied
+    isPrerenderedPageCurrent() {
+        const prerendered = this.getPrerenderedState();
+        if (!prerendered) return false;
+
+        return prerendered.language === this.i18n.language &&
+            prerendered.data === this.getDataStamp() &&
+            !window.location.search &&
+            !this.isDraftPreview &&
+            !this.byTheGlassOnly &&
+            this.getActiveFacetCount() === 0;
     }
 
-    updatePageTitle() {
-        const subtitles = document.querySelectorAll('.luxury-subtitle');
-        if (subtitles.length >= 2) {
-            // Keep the "present" subtitle as is
-            // Update the second subtitle with the appropriate title
-            if (this.currentFilters.type) {
-                subtitles[1].textContent = `${this.getWineTypeName(this.currentFilters.type)} - REGIONS`;
-            } else {
-                subtitles[1].textContent = 'WINE REGIONS';
-            }
-        } else if (subtitles.length === 1) {
-            // Fallback if only one subtitle exists
-            const title = subtitles[0];
-            if (this.currentFilters.type) {
-                title.textContent = `${this.getWineTypeName(this.currentFilters.type)} - REGIONS`;
-            } else {
-                title.textContent = 'WINE REGIONS';
+    // Keep the saved markup of a pre-rendered page and give it the state rendering would have set
+    hydratePage() {
+        switch (this.getCurrentPage()) {
+            case 'wines':
+                this.filteredWines = this.applyFacets(this.getPageScopeWines());
+                break;
+            case 'wine-details': {
+                const wine = this.findWine(this.getPageParams().get('id'));
+                if (!wine) break;
+                // The photo falls back to the label art when it does not load
+                this.updateWineImage(wine);
+                if (this.shareManager) {
+                    this.shareManager.setContent(this.getWineShareContent(wine));
+                }
+                break;
             }
         }
+
+        // The buttons were saved with an empty selection and comparison
+        this.updateSelectionButtons();
+        this.updateCompareButtons();
     }
 
-    updateBreadcrumb() {
-        const breadcrumb = document.querySelector('.breadcrumb');
-        if (breadcrumb) {
-            if (this.currentFilters.type) {
-                breadcrumb.innerHTML = `
-                    <a href="index.html">Home</a>
-                    <i class="fas fa-chevron-right"></i>
-                    <span>${this.getWineTypeName(this.currentFilters.type)} Regions</span>
-                `;
-            } else {
-                breadcrumb.innerHTML = `
-                    <a href="index.html">Home</a>
-                    <i class="fas fa-chevron-right"></i>
-                    <span>Wine Regions</span>
-                `;
-            }
+    // The page a URL opens, from its file name ("wine-details.html" -> "wine-details", "/" -> "index");
+    // null for anything else, such as admin.html, a pre-rendered page or another site
+    getPageForUrl(url) {
+        const target = new URL(url, document.baseURI);
+        const root = new URL(document.baseURI);
+        const directory = path => path.slice(0, path.lastIndexOf('/') + 1);
+        if (target.origin !== root.origin || directory(target.pathname) !== directory(root.pathname)) {
+            return null;
         }
+
+        const name = target.pathname.slice(target.pathname.lastIndexOf('/') + 1).replace(/\.html$/, '') || 'index';
+        return WineListApp.pages.includes(name) ? name : null;
     }
 
-    filterRegions() {
-        const regionsGrid = document.querySelector('.regions-grid');
-        if (!regionsGrid || !this.allRegions) return;
+    // Region, type, list section and search of the page being shown, read from its URL
+    createEmptyPageFilters() {
+        return {
+            type: null,
+            region: null,
+            category: null,
+            search: ''
+        };
+    }
 
+    // What a page load used to reset; the wine data, preferences, selection and facet filters are kept
+    resetPageState() {
+        this.currentFilters = this.createEmptyPageFilters();
+        this.searchResults = new Map();
+        this.currentSort = null;
+        this.currentView = 'grid';
+        this.selectionLargeType = false;
+        this.filteredWines = [...this.wines];
+    }
+
+    // History API router: links between the pages render in place from the wines already loaded,
+    // so wines.json is fetched and validated once per visit instead of on every click
+    setupRouter() {
+        if (!window.history.pushState || typeof DOMParser === 'undefined') return;
+
+        this.viewCache = new Map();
+        this.renderedUrl = this.getRouteKey(window.location.href);
+        // The scroll position is put back once the page has been rendered, not before
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        document.addEventListener('click', (e) => {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+            const link = e.target.closest('a[href]');
+            if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+            if (!this.getPageForUrl(link.href)) return;
+            // An anchor on the page being shown is left to the browser
+            if (new URL(link.href).hash && this.getRouteKey(link.href) === this.getRouteKey(window.location.href)) return;
+
+            e.preventDefault();
+            this.navigate(link.href);
+        });
+
+        window.addEventListener('popstate', (e) => {
+            if (this.getRouteKey(window.location.href) === this.renderedUrl) return;
+            // Back to a pre-rendered page: load it again rather than render it from the wrong view
+            if (!this.getPageForUrl(window.location.href)) {
+                window.location.reload();
+                return;
+            }
+            this.renderRoute().then(() => window.scrollTo(0, (e.state && e.state.scrollY) || 0));
+        });
+
+        // Kept in the history entry so the back button returns to the same place on the page
+        window.addEventListener('scroll', () => {
+            clearTimeout(this.scrollSaveTimer);
+            this.scrollSaveTimer = setTimeout(() => this.saveScrollPosition(), 150);
+        }, { passive: true });
+    }
+
+    getRouteKey(url) {
+        const target = new URL(url, document.baseURI);
+        return target.pathname + target.search;
+    }
+
+    saveScrollPosition() {
+        window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+    }
+
+    // Show another page of the list; falls back to an ordinary page load when the router is not running
+    async navigate(url) {
+        if (!this.viewCache || !this.getPageForUrl(url)) {
+            window.location.href = url;
+            return;
+        }
+
+        const target = new URL(url, document.baseURI);
+        clearTimeout(this.scrollSaveTimer);
+        this.saveScrollPosition();
+        window.history.pushState({ scrollY: 0 }, '', target.href);
+        await this.renderRoute();
+
+        const anchor = target.hash && document.getElementById(decodeURIComponent(target.hash.slice(1)));
+        if (anchor) {
+            anchor.scrollIntoView();
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+
+    // A page's markup, title and body class from its HTML file, fetched once (the service worker caches them)
+    async loadView(page) {
+        if (!this.viewCache.has(page)) {
+            const response = await fetch(`${page}.html`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const view = new DOMParser().parseFromString(await response.text(), 'text/html');
+            const content = view.querySelector('.luxury-container');
+            if (!content) {
+                throw new Error(`${page}.html has no .luxury-container`);
+            }
+            this.viewCache.set(page, { title: view.title, bodyClass: view.body.className, content });
+        }
+        return this.viewCache.get(page);
+    }
+
+    // Swap in the page for the current URL and render it
+    async renderRoute() {
+        const url = this.getRouteKey(window.location.href);
+        const page = this.getCurrentPage();
+
+        let view;
+        try {
+            view = await this.loadView(page);
+        } catch (error) {
+            console.warn(`Could not load the ${page} page, reloading:`, error);
+            window.location.reload();
+            return;
+        }
+        // The guest went somewhere else while the page was loading
+        if (this.getRouteKey(window.location.href) !== url) return;
+
+        this.closeFacetPanel();
+        this.closeSommelierWizard(false);
+        if (this.shareManager) this.shareManager.closeShareModal();
+
+        document.querySelector('.luxury-container').replaceWith(document.importNode(view.content, true));
+        // The search engine tags of a pre-rendered page describe that page only
+        document.querySelectorAll('meta[name="app-route"], meta[name="app-language"], meta[name="app-data"], [data-prerendered]')
+            .forEach(element => element.remove());
+        document.title = view.title;
+        document.body.className = view.bodyClass;
+        this.renderedUrl = url;
+        this.resetPageState();
+
+        this.i18n.translatePage();
+        this.setupLanguageSwitcher();
+        this.setupSelectionLink();
+        this.setupShareManager();
+        this.setupViewListeners();
+
+        // "?preview=draft" links switch between the published list and the editor's draft
+        this.handlePreviewParameter();
+        if (WineDataSource.isPreviewing() !== this.isDraftPreview) {
+            await this.loadWineData();
+        }
+
+        this.handleURLParameters();
+        this.renderCurrentPage();
+        this.announce(document.title);
+    }
+
+    renderHomePage() {
+        // Update wine type cards with actual wine counts
+        this.applyIndexSearch();
+        this.renderSommelierResults();
+    }
+
+    renderRegionsPage() {
+        const regionsContainer = document.querySelector('.regions-container');
+        if (!regionsContainer) {
+            console.error('Regions container not found');
+            return;
+        }
+
+        // Get all unique regions from wines (filtered by type and facets if specified)
+        this.regionWines = this.applyFacets(this.getPageScopeWines());
+        
+        // Get unique regions using normalized names to avoid duplicates
+        const regionSet = new Set();
+        this.regionWines
+            .filter(wine => wine.region && wine.region.trim() !== '')
+            .forEach(wine => {
+                const normalizedRegion = this.normalizeRegionName(wine.region);
+                regionSet.add(normalizedRegion);
+            });
+        
+        this.allRegions = [...regionSet].sort();
+
+        console.log(`Found ${this.allRegions.length} regions for type: ${this.currentFilters.type || 'all'}`);
+
+        // Update page title based on filter
+        this.updatePageTitle();
+
+        // Update breadcrumb
+        this.updateBreadcrumb();
+
+        // Render region cards
+        this.filterRegions();
+    }
+
+    updatePageTitle() {
+        const subtitles = document.querySelectorAll('.luxury-subtitle');
+        if (subtitles.length >= 2) {
+            // Keep the "present" subtitle as is
+            // Update the second subtitle with the appropriate title
+            if (this.currentFilters.type) {
+                subtitles[1].textContent = this.t('regions.typeSubtitle', { type: this.getWineTypeName(this.currentFilters.type) });
+            } else {
+                subtitles[1].textContent = this.t('regions.subtitle');
+            }
+        } else if (subtitles.length === 1) {
+            // Fallback if only one subtitle exists
+            const title = subtitles[0];
+            if (this.currentFilters.type) {
+                title.textContent = this.t('regions.typeSubtitle', { type: this.getWineTypeName(this.currentFilters.type) });
+            } else {
+                title.textContent = this.t('regions.subtitle');
+            }
+        }
+    }
+
+    updateBreadcrumb() {
+        const breadcrumb = document.querySelector('.breadcrumb');
+        if (breadcrumb) {
+            if (this.currentFilters.type) {
+                breadcrumb.innerHTML = `
+                    <a href="index.html">${this.t('nav.home')}</a>
+                    <i class="fas fa-chevron-right"></i>
+                    <span>${this.t('regions.typeBreadcrumb', { type: this.getWineTypeName(this.currentFilters.type) })}</span>
+                `;
+            } else {
+                breadcrumb.innerHTML = `
+                    <a href="index.html">${this.t('nav.home')}</a>
+                    <i class="fas fa-chevron-right"></i>
+                    <span>${this.t('nav.wineRegions')}</span>
+                `;
+            }
+        }
+    }
+
+    filterRegions() {
+        const regionsGrid = document.querySelector('.regions-grid');
+        if (!regionsGrid || !this.allRegions) return;
+
+        // Compare accent- and punctuation-insensitively ("valle d aosta" finds VALLE D'AOSTA)
+        const normalizeForSearch = text => WineSearchIndex.tokenize(text).join(' ');
+        const normalizedSearch = normalizeForSearch(this.currentFilters.search);
         const filteredRegions = this.allRegions.filter(region => 
-            !this.currentFilters.search || region.toLowerCase().includes(this.currentFilters.search)
+            !normalizedSearch || normalizeForSearch(region).includes(normalizedSearch)
         );
 
         regionsGrid.innerHTML = filteredRegions.map(region => {
-            // Count wines in this region, considering wine type filter if active
-            // Use normalized region comparison for accurate counting
-            let count = this.wines.filter(wine => {
-                const normalizedWineRegion = this.normalizeRegionName(wine.region);
-                const normalizedFilterRegion = this.normalizeRegionName(region);
-                return normalizedWineRegion === normalizedFilterRegion;
-            }).length;
-            
-            if (this.currentFilters.type) {
-                count = this.wines.filter(wine => {
-                    const normalizedWineRegion = this.normalizeRegionName(wine.region);
-                    const normalizedFilterRegion = this.normalizeRegionName(region);
-                    return normalizedWineRegion === normalizedFilterRegion && this.wineMatchesFamily(wine, this.currentFilters.type);
-                }).length;
-            }
+            // Count wines in this region, considering wine type and facet filters if active
+            const count = this.countRegionWines(region);
             
             const icon = this.getRegionIcon(region);
             const normalizedRegion = this.normalizeRegionName(region);
@@ -323,10 +874,10 @@ class WineListApp {
             return `
                 <a href="${url}" class="region-card">
                     <div class="region-icon">
-                        <i class="${icon}"></i>
+                        <i class="${icon}" aria-hidden="true"></i>
                     </div>
                     <h3 class="region-title">${normalizedRegion}</h3>
-                    <p class="wine-count">${count} wines</p>
+                    <p class="wine-count">${this.t('wines.count', { count })}</p>
                 </a>
             `;
         }).join('');
@@ -346,21 +897,8 @@ class WineListApp {
         if (!tbody) return;
 
         tbody.innerHTML = regions.map(region => {
-            // Count wines in this region, considering wine type filter if active
-            // Use normalized region comparison for accurate counting
-            let count = this.wines.filter(wine => {
-                const normalizedWineRegion = this.normalizeRegionName(wine.region);
-                const normalizedFilterRegion = this.normalizeRegionName(region);
-                return normalizedWineRegion === normalizedFilterRegion;
-            }).length;
-            
-            if (this.currentFilters.type) {
-                count = this.wines.filter(wine => {
-                    const normalizedWineRegion = this.normalizeRegionName(wine.region);
-                    const normalizedFilterRegion = this.normalizeRegionName(region);
-                    return normalizedWineRegion === normalizedFilterRegion && this.wineMatchesFamily(wine, this.currentFilters.type);
-                }).length;
-            }
+            // Count wines in this region, considering wine type and facet filters if active
+            const count = this.countRegionWines(region);
             
             const normalizedRegion = this.normalizeRegionName(region);
             const description = this.getRegionDescription(region);
@@ -374,37 +912,33 @@ class WineListApp {
             return `
                 <tr>
                     <td class="table-region-name">${normalizedRegion}</td>
-                    <td class="table-region-count">${count} wines</td>
+                    <td class="table-region-count">${this.t('wines.count', { count })}</td>
                     <td class="table-region-description">${description}</td>
-                    <td><a href="${url}" class="table-explore-region-btn">Explore</a></td>
+                    <td><a href="${url}" class="table-explore-region-btn">${this.t('action.explore')}</a></td>
                 </tr>
             `;
         }).join('');
     }
 
+    countRegionWines(region) {
+        // Use normalized region comparison for accurate counting
+        const normalizedFilterRegion = this.normalizeRegionName(region);
+        return (this.regionWines || []).filter(wine =>
+            this.normalizeRegionName(wine.region) === normalizedFilterRegion
+        ).length;
+    }
+
     updateRegionsCount(count) {
         const regionsCount = document.querySelector('.regions-count');
         if (regionsCount) {
-            regionsCount.textContent = `${count} regions`;
+            regionsCount.textContent = this.t('regions.count', { count });
         }
     }
 
     getRegionDescription(region) {
-        // Add some basic descriptions for major regions
-        const descriptions = {
-            'TOSCANA': 'Famous for Chianti and Brunello wines',
-            'PIEMONTE': 'Home of Barolo and Barbaresco',
-            'VENETO': 'Known for Amarone and Prosecco',
-            'SICILIA': 'Mediterranean climate, diverse terroir',
-            'LOMBARDIA': 'Northern region with Alpine influences',
-            'EMILIA-ROMAGNA': 'Rich culinary tradition, Lambrusco',
-            'LAZIO': 'Central Italy, Frascati and Est! Est!! Est!!!',
-            'CAMPANIA': 'Ancient winemaking traditions',
-            'PUGLIA': 'Southern Italy, Primitivo and Negroamaro',
-            'SARDEGNA': 'Island wines with unique character'
-        };
-        
-        return descriptions[region] || 'Explore the wines of this region';
+        // Basic descriptions for major regions live in the translation catalogue
+        const key = `regionDescription.${region}`;
+        return this.t(this.i18n.has(key) ? key : 'regionDescription.default');
     }
 
     renderWinesPage() {
@@ -415,21 +949,6 @@ class WineListApp {
 
         console.log(`Rendering wines page for region: ${this.currentFilters.region}, type: ${this.currentFilters.type || 'all'}`);
 
-        // Filter wines by region (and type if specified)
-        this.filteredWines = this.wines.filter(wine => {
-            // Use normalized region comparison to handle variations
-            const normalizedWineRegion = this.normalizeRegionName(wine.region);
-            const normalizedFilterRegion = this.normalizeRegionName(this.currentFilters.region);
-            
-            const matchesRegion = normalizedWineRegion === normalizedFilterRegion;
-            const matchesType = !this.currentFilters.type || this.wineMatchesFamily(wine, this.currentFilters.type);
-            
-            
-            return matchesRegion && matchesType;
-        });
-
-        console.log(`Found ${this.filteredWines.length} wines for ${this.currentFilters.region}`);
-
         // Add wine type badge if filtering by type
         if (this.currentFilters.type) {
             const header = document.querySelector('.luxury-header');
@@ -447,17 +966,14 @@ class WineListApp {
         // Update section title
         this.updateWinesSectionTitle();
 
-        // Update wine count
-        const countElement = document.querySelector('.wines-count');
-        if (countElement) {
-            countElement.textContent = `${this.filteredWines.length} wines`;
-        }
-
         // Update breadcrumb
         this.updateWinesBreadcrumb();
 
-        // Render wines
-        this.renderWines();
+        // Print this region (and family) from the printable list
+        this.updatePrintLink();
+
+        // Filter and render wines
+        this.applyFilters();
     }
 
     updateWinesPageTitle() {
@@ -468,7 +984,7 @@ class WineListApp {
             if (this.currentFilters.type) {
                 subtitles[1].textContent = `${this.currentFilters.region} ${this.getWineTypeName(this.currentFilters.type)}`;
             } else {
-                subtitles[1].textContent = `${this.currentFilters.region} WINES`;
+                subtitles[1].textContent = this.t('wines.regionSubtitle', { region: this.currentFilters.region });
             }
         } else if (subtitles.length === 1) {
             // Fallback if only one subtitle exists
@@ -476,14 +992,14 @@ class WineListApp {
             if (this.currentFilters.type) {
                 title.textContent = `${this.currentFilters.region} ${this.getWineTypeName(this.currentFilters.type)}`;
             } else {
-                title.textContent = `${this.currentFilters.region} WINES`;
+                title.textContent = this.t('wines.regionSubtitle', { region: this.currentFilters.region });
             }
         }
     }
 
     updateHTMLPageTitle() {
         // Update the HTML page title
-        let pageTitle = `${this.currentFilters.region} Wines`;
+        let pageTitle = this.t('wines.regionTitle', { region: this.currentFilters.region });
         if (this.currentFilters.type) {
             const typeName = this.getWineTypeName(this.currentFilters.type);
             pageTitle = `${this.currentFilters.region} ${typeName}`;
@@ -495,7 +1011,7 @@ class WineListApp {
         // Update the wines section title
         const winesTitle = document.querySelector('.wines-title');
         if (winesTitle) {
-            let sectionTitle = `${this.currentFilters.region} SELECTION`;
+            let sectionTitle = this.t('wines.regionSection', { region: this.currentFilters.region });
             if (this.currentFilters.type) {
                 const typeName = this.getWineTypeName(this.currentFilters.type);
                 sectionTitle = `${this.currentFilters.region} ${typeName.toUpperCase()}`;
@@ -513,21 +1029,35 @@ class WineListApp {
             }
             
             breadcrumb.innerHTML = `
-                <a href="index.html">Home</a>
+                <a href="index.html">${this.t('nav.home')}</a>
                 <i class="fas fa-chevron-right"></i>
-                <a href="${regionUrl}">Wine Regions</a>
+                <a href="${regionUrl}">${this.t('nav.wineRegions')}</a>
                 <i class="fas fa-chevron-right"></i>
                 <span>${this.currentFilters.region}</span>
             `;
         }
     }
 
+    updatePrintLink() {
+        const printLink = document.getElementById('printLinkBtn');
+        if (printLink) {
+            const params = new URLSearchParams({ region: this.currentFilters.region });
+            if (this.currentFilters.type) {
+                params.set('type', this.currentFilters.type);
+            }
+            printLink.href = `print.html?${params}`;
+        }
+    }
+
     renderWines() {
         const winesGrid = document.getElementById('winesGrid');
         const wineTable = document.getElementById('wineTable');
         
         console.log(`Rendering ${this.filteredWines.length} wines`);
         
+        this.filteredWines = this.sortWines(this.filteredWines);
+        this.updateSortControls();
+        
         if (winesGrid) {
             winesGrid.innerHTML = this.filteredWines.map(wine => this.createWineCard(wine)).join('');
             console.log(`Updated wines grid with ${this.filteredWines.length} cards`);
@@ -544,15 +1074,6 @@ class WineListApp {
 
     createWineCard(wine) {
         const wineFamily = this.getWineFamily(wine.wine_type);
-        
-        const wineTypeNames = {
-            'ROSSO': 'Red',
-            'BIANCO': 'White',
-            'ROSATO': 'Rosé',
-            'ARANCIONE': 'Orange',
-            'BOLLICINE': 'Sparkling',
-            'NON ALCOLICO': 'Non-Alcoholic'
-        };
 
         const wineFamilyClasses = {
             'ROSSO': 'wine-family-rosso',
@@ -566,21 +1087,23 @@ class WineListApp {
         return `
             <div class="wine-card">
                 <div class="wine-family-indicator ${wineFamilyClasses[wineFamily] || 'wine-family-rosso'}">
-                    ${wineTypeNames[wineFamily] || 'Wine'}
+                    ${this.getWineFamilyLabel(wineFamily)}
                 </div>
                 <div class="wine-header">
-                    <h3 class="wine-name">${wine.wine_name}</h3>
-                    <div class="wine-price">$${wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A'}</div>
+                    <h3 class="wine-name">${this.highlightSearchMatch(wine, wine.wine_name)}</h3>
+                    <div class="wine-price">${this.formatPriceFormats(wine)}</div>
                 </div>
                 <div class="wine-details">
-                    <p class="wine-producer">${wine.wine_producer || 'Producer not specified'}</p>
-                    <p class="wine-region">${wine.region}</p>
-                    <p class="wine-grape">${wine.varietals || 'N/A'}</p>
-                    <p class="wine-description">${wine.wine_description || 'A fine wine selection.'}</p>
+                    <p class="wine-producer">${this.createProducerLink(wine, this.highlightSearchMatch(wine, wine.wine_producer || this.t('wine.producerNotSpecified')))}</p>
+                    <p class="wine-region">${this.highlightSearchMatch(wine, wine.region)}</p>
+                    <p class="wine-grape">${this.highlightSearchMatch(wine, wine.varietals || this.t('common.na'))}</p>
+                    <p class="wine-description">${this.highlightSearchMatch(wine, wine.wine_description || this.t('wine.defaultDescription'))}</p>
                 </div>
                 <div class="wine-actions">
-                    <span class="wine-year">${this.extractYear(wine.wine_vintage)}</span>
-                    <a href="wine-details.html?id=${wine.wine_number}${this.currentFilters.type ? '&type=' + encodeURIComponent(this.currentFilters.type) : ''}" class="explore-wine">Explore Wine</a>
+                    <span class="wine-year">${this.formatVintageYear(wine)}</span>
+                    ${this.createSelectionButton(wine)}
+                    ${this.createCompareButton(wine)}
+                    <a href="${this.getWineDetailsUrl(wine)}" class="explore-wine">${this.t('action.exploreWine')}</a>
                 </div>
             </div>
         `;
@@ -589,19 +1112,136 @@ class WineListApp {
     createWineTableRow(wine) {
         return `
             <tr>
-                <td class="table-wine-name">${wine.wine_name}</td>
-                <td class="table-wine-producer">${wine.wine_producer || 'Producer not specified'}</td>
-                <td class="table-wine-region">${wine.region}</td>
-                <td>${wine.varietals || 'N/A'}</td>
-                <td>${this.extractYear(wine.wine_vintage)}</td>
-                <td class="table-wine-price">$${wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A'}</td>
-                <td><a href="wine-details.html?id=${wine.wine_number}${this.currentFilters.type ? '&type=' + encodeURIComponent(this.currentFilters.type) : ''}" class="table-explore-btn">Explore</a></td>
+                <td class="table-wine-name">${this.highlightSearchMatch(wine, wine.wine_name)}</td>
+                <td class="table-wine-producer">${this.createProducerLink(wine, this.highlightSearchMatch(wine, wine.wine_producer || this.t('wine.producerNotSpecified')))}</td>
+                <td class="table-wine-region">${this.highlightSearchMatch(wine, wine.region)}</td>
+                <td>${this.highlightSearchMatch(wine, wine.varietals || this.t('common.na'))}</td>
+                <td>${this.formatVintageYear(wine)}</td>
+                <td class="table-wine-price">${this.formatPriceFormats(wine)}</td>
+                <td class="table-wine-actions">
+                    ${this.createSelectionButton(wine)}
+                    ${this.createCompareButton(wine)}
+                    <a href="${this.getWineDetailsUrl(wine)}" class="table-explore-btn">${this.t('action.explore')}</a>
+                </td>
             </tr>
         `;
     }
 
+    getWineDetailsUrl(wine) {
+        let url = `wine-details.html?id=${encodeURIComponent(this.getWineKey(wine))}`;
+        if (this.currentFilters.type) {
+            url += `&type=${encodeURIComponent(this.currentFilters.type)}`;
+        }
+        if (this.currentSort) {
+            url += `&sort=${encodeURIComponent(this.formatSortParameter(this.currentSort))}`;
+        }
+        return url;
+    }
+
+    // Sort parameter format is "<key>-<direction>", e.g. "price-desc"
+    parseSortParameter(value) {
+        if (!value) return null;
+
+        const [key, direction] = value.split('-');
+        const validKeys = ['price', 'vintage', 'name', 'producer', 'bin'];
+        if (!validKeys.includes(key)) return null;
+
+        return { key, direction: direction === 'desc' ? 'desc' : 'asc' };
+    }
+
+    formatSortParameter(sort) {
+        return `${sort.key}-${sort.direction}`;
+    }
+
+    setSort(key, direction) {
+        this.currentSort = key ? { key, direction: direction || 'asc' } : null;
+
+        // Keep the sort in the query string so links and the back button preserve it
+        const url = new URL(window.location.href);
+        if (this.currentSort) {
+            url.searchParams.set('sort', this.formatSortParameter(this.currentSort));
+        } else {
+            url.searchParams.delete('sort');
+        }
+        window.history.replaceState(window.history.state, '', url);
+
+        this.renderWines();
+    }
+
+    toggleSortColumn(key) {
+        if (this.currentSort && this.currentSort.key === key) {
+            this.setSort(key, this.currentSort.direction === 'asc' ? 'desc' : 'asc');
+        } else {
+            // Vintage reads most naturally newest first, everything else ascending
+            this.setSort(key, key === 'vintage' ? 'desc' : 'asc');
+        }
+    }
+
+    sortWines(wines) {
+        if (!this.currentSort) {
+            // Without an explicit sort, search results are ranked by relevance
+            if (this.currentFilters.search && this.searchResults) {
+                return [...wines].sort((a, b) =>
+                    (this.searchResults.has(b) ? this.searchResults.get(b).score : 0) -
+                    (this.searchResults.has(a) ? this.searchResults.get(a).score : 0)
+                );
+            }
+            return wines;
+        }
+
+        const { key, direction } = this.currentSort;
+        const getSortValue = {
+            price: wine => this.getSortPrice(wine),
+            vintage: wine => this.getVintageInfo(wine).year,
+            name: wine => wine.wine_name || null,
+            producer: wine => (wine.wine_producer || '').replace(/[*]/g, '').trim() || null,
+            bin: wine => {
+                const number = parseInt(wine.wine_number, 10);
+                return isNaN(number) ? null : number;
+            }
+        }[key];
+
+        return [...wines].sort((a, b) => {
+            const valueA = getSortValue(a);
+            const valueB = getSortValue(b);
+
+            // Wines missing the value always go last
+            if (valueA === null && valueB === null) return 0;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+
+            const result = typeof valueA === 'string'
+                ? valueA.localeCompare(valueB)
+                : valueA - valueB;
+            return direction === 'desc' ? -result : result;
+        });
+    }
+
+    getSortPrice(wine) {
+        // Compare wines on their bottle price, falling back to the first format offered
+        const formats = this.getPriceFormats(wine);
+        const format = formats.find(f => f.format === 'bottle') || formats[0];
+        return format ? format.price : null;
+    }
+
+    updateSortControls() {
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) {
+            sortSelect.value = this.currentSort ? this.formatSortParameter(this.currentSort) : '';
+        }
+
+        document.querySelectorAll('#wineTable th[data-sort]').forEach(header => {
+            const isActive = this.currentSort && this.currentSort.key === header.getAttribute('data-sort');
+            header.classList.toggle('sorted-asc', Boolean(isActive) && this.currentSort.direction === 'asc');
+            header.classList.toggle('sorted-desc', Boolean(isActive) && this.currentSort.direction === 'desc');
+            header.setAttribute('aria-sort', isActive
+                ? (this.currentSort.direction === 'asc' ? 'ascending' : 'descending')
+                : 'none');
+        });
+    }
+
     renderWineDetailsPage() {
-        const urlParams = new URLSearchParams(window.location.search);
+        const urlParams = this.getPageParams();
         const wineId = urlParams.get('id');
         
         if (wineId) {
@@ -609,10 +1249,11 @@ class WineListApp {
         }
     }
 
+    // wineId is a wine key; links with a bare bin number (from before keys were used) open the first wine with that bin
     loadWineDetails(wineId) {
-        const wine = this.wines.find(w => w.wine_number === wineId);
+        const wine = this.findWine(wineId);
         if (!wine) {
-            this.showError('Wine not found');
+            this.showError(this.t('error.wineNotFound'));
             return;
         }
 
@@ -643,7 +1284,7 @@ class WineListApp {
         const wineRegion = document.getElementById('wineRegion');
         if (wineRegion) {
             wineRegion.innerHTML = `
-                <span class="wine-producer-detail">${wine.wine_producer || 'Producer not specified'}</span>
+                <span class="wine-producer-detail">${this.createProducerLink(wine, wine.wine_producer || this.t('wine.producerNotSpecified'))}</span>
                 <span class="wine-region-detail">${wine.region}</span>
             `;
         }
@@ -651,7 +1292,13 @@ class WineListApp {
         // Update wine price
         const winePrice = document.getElementById('winePrice');
         if (winePrice) {
-            winePrice.textContent = `$${wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A'}`;
+            winePrice.innerHTML = this.formatPriceFormats(wine);
+        }
+
+        // Save to "My selection"
+        const wineSelection = document.getElementById('wineSelection');
+        if (wineSelection) {
+            wineSelection.innerHTML = this.createSelectionButton(wine, true);
         }
 
         // Update page title
@@ -678,22 +1325,33 @@ class WineListApp {
         // Update producer information
         this.updateProducerInfo(wine);
 
+        // "You might also like" strips under the producer
+        this.updateRelatedWines(wine);
+
         // Update breadcrumb
         this.updateBreadcrumb(wine);
 
         // Update back button
         this.updateBackButton(wine);
+
+        // What the share dialog sends for this wine
+        if (this.shareManager) {
+            this.shareManager.setContent(this.getWineShareContent(wine));
+        }
     }
 
     updateMetaInfo(wine) {
+        const na = this.t('common.na');
         const metaItems = [
-            { label: 'Grape Variety', value: wine.varietals || 'N/A' },
-            { label: 'Vintage', value: this.extractYear(wine.wine_vintage) },
-            { label: 'Alcohol', value: wine.alcohol || 'N/A' },
-            { label: 'Aging', value: wine.aging || 'N/A' },
-            { label: 'Soil', value: wine.soil || 'N/A' },
-            { label: 'Elevation', value: wine.elevation || 'N/A' },
-            { label: 'Organic', value: wine.organic ? 'Yes' : 'No' }
+            { label: this.t('details.grapeVariety'), value: wine.varietals || na },
+            { label: this.t('details.appellation'), value: this.getVintageInfo(wine).appellation || na },
+            { label: this.t('details.classification'), value: this.getVintageInfo(wine).classification || na },
+            { label: this.t('details.vintage'), value: this.formatVintageYear(wine) },
+            { label: this.t('details.alcohol'), value: wine.alcohol || na },
+            { label: this.t('details.aging'), value: wine.aging || na },
+            { label: this.t('details.soil'), value: wine.soil || na },
+            { label: this.t('details.elevation'), value: wine.elevation || na },
+            { label: this.t('details.organic'), value: wine.organic ? this.t('common.yes') : this.t('common.no') }
         ];
 
         const metaContainer = document.getElementById('wineMeta');
@@ -710,110 +1368,71 @@ class WineListApp {
     updateWineDescription(wine) {
         const descriptionContainer = document.getElementById('wineDescription');
         if (descriptionContainer) {
-            const description = wine.wine_description || 'A fine wine selection from our curated collection.';
+            const description = wine.wine_description || this.t('wine.collectionDescription');
             descriptionContainer.innerHTML = `<p>${description}</p>`;
         }
     }
 
     updateWineImage(wine) {
-        const wineBottleIcon = document.getElementById('wineBottleIcon');
         const wineBottleImage = document.getElementById('wineBottleImage');
-        
-        if (!wineBottleIcon || !wineBottleImage) return;
-        
-        // Try to find a matching image for this wine
-        const wineImageUrl = this.findWineImage(wine);
-        
-        if (wineImageUrl) {
-            // Show image and hide icon
-            wineBottleImage.src = wineImageUrl;
-            wineBottleImage.style.display = 'block';
-            wineBottleIcon.style.display = 'none';
-            
-            // Add error handling for image loading
-            wineBottleImage.onerror = () => {
-                console.log('Failed to load wine image, falling back to icon');
-                wineBottleImage.style.display = 'none';
-                wineBottleIcon.style.display = 'block';
-            };
-        } else {
-            // No image found, show icon
-            wineBottleImage.style.display = 'none';
-            wineBottleIcon.style.display = 'block';
+        const wineLabelArt = document.getElementById('wineLabelArt');
+        if (!wineBottleImage || !wineLabelArt) return;
+
+        const showLabelArt = () => {
+            wineBottleImage.hidden = true;
+            wineLabelArt.innerHTML = this.createLabelArt(wine);
+            wineLabelArt.hidden = false;
+        };
+
+        const image = this.findWineImage(wine);
+        if (!image) {
+            showLabelArt();
+            return;
         }
+
+        wineBottleImage.onerror = () => {
+            console.log(`Failed to load ${image.src}, showing the label art`);
+            showLabelArt();
+        };
+        wineBottleImage.alt = image.alt || this.t('details.bottlePhoto', { name: wine.wine_name });
+        wineBottleImage.src = image.src;
+        wineBottleImage.hidden = false;
+        wineLabelArt.hidden = true;
     }
 
+    // Photo from data/images.json for this bin, else for its producer, else for its appellation.
+    // Entries are "image/wines/556.jpg" or { "src": ..., "alt": ... }; returns { src, alt } or null.
     findWineImage(wine) {
         if (!this.wineImages) return null;
-        
-        console.log(`Looking for image for wine: ${wine.wine_name} by ${wine.wine_producer}`);
-        
-        // Try exact match first
-        if (this.wineImages[wine.wine_name]) {
-            console.log(`Found exact match for wine name: ${wine.wine_name}`);
-            return this.wineImages[wine.wine_name];
-        }
-        
-        // Try matching by producer (clean up producer name)
-        if (wine.wine_producer) {
-            const producerName = wine.wine_producer.replace(/[*]/g, '').trim();
-            if (this.wineImages[producerName]) {
-                console.log(`Found match for producer: ${producerName}`);
-                return this.wineImages[producerName];
-            }
-        }
-        
-        // Try partial matches for wine name (more flexible)
-        for (const [wineName, imageUrl] of Object.entries(this.wineImages)) {
-            const wineNameLower = wine.wine_name.toLowerCase();
-            const mappingNameLower = wineName.toLowerCase();
-            
-            // Check if wine name is contained in mapping name or vice versa
-            if (mappingNameLower.includes(wineNameLower) || wineNameLower.includes(mappingNameLower)) {
-                console.log(`Found partial match for wine name: ${wine.wine_name} -> ${wineName}`);
-                return imageUrl;
-            }
-        }
-        
-        // Try partial matches for producer (more flexible)
-        if (wine.wine_producer) {
-            const producerName = wine.wine_producer.replace(/[*]/g, '').trim();
-            const producerNameLower = producerName.toLowerCase();
-            
-            for (const [wineName, imageUrl] of Object.entries(this.wineImages)) {
-                const mappingNameLower = wineName.toLowerCase();
-                
-                // Check if producer name is contained in mapping name or vice versa
-                if (mappingNameLower.includes(producerNameLower) || producerNameLower.includes(mappingNameLower)) {
-                    console.log(`Found partial match for producer: ${producerName} -> ${wineName}`);
-                    return imageUrl;
-                }
-            }
-        }
-        
-        // Try matching by key words in wine name
-        const wineNameWords = wine.wine_name.toLowerCase().split(' ');
-        for (const [wineName, imageUrl] of Object.entries(this.wineImages)) {
-            const mappingNameLower = wineName.toLowerCase();
-            
-            // Check if any word from wine name appears in mapping name
-            for (const word of wineNameWords) {
-                if (word.length > 2 && mappingNameLower.includes(word)) {
-                    console.log(`Found keyword match: ${word} in ${wineName}`);
-                    return imageUrl;
-                }
-            }
-        }
-        
-        console.log(`No image found for wine: ${wine.wine_name}`);
-        return null;
+
+        const { wines, producers, appellations } = this.wineImages;
+        const entry = wines[wine.wine_number] ||
+            producers[this.normalizeProducerName(wine.wine_producer)] ||
+            appellations[this.getVintageInfo(wine).appellation];
+
+        if (!entry) return null;
+        return typeof entry === 'string' ? { src: entry, alt: null } : { src: entry.src, alt: entry.alt || null };
+    }
+
+    // Generated bottle and label in the wine's family colour, for wines without a photo
+    createLabelArt(wine) {
+        return WineLabelArt.render({
+            name: wine.wine_name,
+            producer: wine.wine_producer,
+            appellation: this.getVintageInfo(wine).appellation,
+            year: this.formatVintageYear(wine),
+            family: this.getWineFamily(wine.wine_type),
+            title: this.t('details.labelArt', { name: wine.wine_name })
+        });
     }
 
     updateTastingNotes(wine) {
         const tastingGrid = document.getElementById('tastingGrid');
         if (tastingGrid) {
-            // Check if we have detailed tasting notes in the wine data
-            if (wine.tasting_notes) {
+            // A structured tasting profile is drawn as a chart; free-text notes are listed as they are
+            if (wine.tasting_profile) {
+                tastingGrid.innerHTML = this.createTastingProfile(wine.tasting_profile);
+            } else if (wine.tasting_notes) {
                 // Use existing tasting notes if available
                 tastingGrid.innerHTML = wine.tasting_notes.map(note => `
                     <div class="tasting-category">
@@ -825,8 +1444,8 @@ class WineListApp {
                 // Generate elegant fallback message
                 const elegantMessage = `
                     <div class="tasting-category elegant-message">
-                        <span class="tasting-label">Organoleptic Profile</span>
-                        <span class="tasting-value">Our expert sommelier team is currently crafting a detailed organoleptic profile for this exceptional wine. We are carefully analyzing its complex aromas, flavors, and characteristics to provide you with the most comprehensive tasting notes. Please check back soon for our detailed sensory analysis.</span>
+                        <span class="tasting-label">${this.t('details.profileTitle')}</span>
+                        <span class="tasting-value">${this.t('details.profilePending')}</span>
                     </div>
                 `;
                 tastingGrid.innerHTML = elegantMessage;
@@ -834,20 +1453,61 @@ class WineListApp {
         }
     }
 
+    // Each scale as five pips between its low and high words, then the aromas as chips
+    createTastingProfile(profile) {
+        const scales = WineSchema.tastingScales.filter(scale => profile[scale]);
+        const chart = scales.length === 0 ? '' : `
+            <div class="tasting-category tasting-profile">
+                <span class="tasting-label">${this.t('details.profileTitle')}</span>
+                <dl class="profile-chart">
+                    ${scales.map(scale => `
+                        <div class="profile-row">
+                            <dt class="profile-scale">${this.t(`tasting.${scale}`)}</dt>
+                            <dd class="profile-bar" role="img" aria-label="${this.t('tasting.score', { scale: this.t(`tasting.${scale}`), score: profile[scale] })}">
+                                <span class="profile-end">${this.t(`tasting.${scale}.low`)}</span>
+                                <span class="profile-pips">
+                                    ${[1, 2, 3, 4, 5].map(step => `<span class="profile-pip${step <= profile[scale] ? ' filled' : ''}"></span>`).join('')}
+                                </span>
+                                <span class="profile-end">${this.t(`tasting.${scale}.high`)}</span>
+                            </dd>
+                        </div>
+                    `).join('')}
+                </dl>
+            </div>
+        `;
+        const aromas = !profile.aromas ? '' : `
+            <div class="tasting-category">
+                <span class="tasting-label">${this.t('tasting.aromas')}</span>
+                <ul class="aroma-chips">
+                    ${profile.aromas.map(aroma => `<li class="aroma-chip">${aroma}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+        return chart + aromas;
+    }
+
     updateWineInformation(wine) {
         const infoGrid = document.getElementById('infoGrid');
         if (infoGrid) {
+            const vintageInfo = this.getVintageInfo(wine);
+            const na = this.t('common.na');
             const infoItems = [
-                { label: 'Producer', value: wine.wine_producer || 'N/A' },
-                { label: 'Category', value: wine.category || 'N/A' },
-                { label: 'Wine Type', value: this.getWineTypeName(wine.wine_type) },
-                { label: 'Region', value: wine.region || 'N/A' },
-                { label: 'Vintage', value: wine.wine_vintage || 'N/A' },
-                { label: 'Alcohol Content', value: wine.alcohol || 'N/A' },
-                { label: 'Aging Process', value: wine.aging || 'N/A' },
-                { label: 'Soil Type', value: wine.soil || 'N/A' },
-                { label: 'Elevation', value: wine.elevation || 'N/A' },
-                { label: 'Organic', value: wine.organic ? 'Certified Organic' : 'Conventional' }
+                { label: this.t('details.producer'), value: wine.wine_producer || na },
+                { label: this.t('details.category'), value: wine.category || na },
+                { label: this.t('details.wineType'), value: this.getWineTypeName(wine.wine_type) },
+                { label: this.t('details.region'), value: wine.region || na },
+                { label: this.t('details.appellation'), value: vintageInfo.appellation || na },
+                { label: this.t('details.classification'), value: vintageInfo.classification || na },
+                { label: this.t('details.vintage'), value: this.formatVintageYear(wine) },
+                // Finer place names only appear when the list gives them
+                ...(vintageInfo.subzone ? [{ label: this.t('details.subzone'), value: vintageInfo.subzone }] : []),
+                ...(vintageInfo.comune ? [{ label: this.t('details.comune'), value: vintageInfo.comune }] : []),
+                ...(vintageInfo.cru ? [{ label: this.t('details.cru'), value: vintageInfo.cru }] : []),
+                { label: this.t('details.alcoholContent'), value: wine.alcohol || na },
+                { label: this.t('details.agingProcess'), value: wine.aging || na },
+                { label: this.t('details.soilType'), value: wine.soil || na },
+                { label: this.t('details.elevation'), value: wine.elevation || na },
+                { label: this.t('details.organic'), value: wine.organic ? this.t('details.certifiedOrganic') : this.t('details.conventional') }
             ];
 
             infoGrid.innerHTML = infoItems.map(item => `
@@ -862,65 +1522,51 @@ class WineListApp {
     updateFoodPairings(wine) {
         const pairingList = document.getElementById('pairingList');
         if (pairingList) {
-            // Generate food pairings based on wine type
             const pairings = this.getFoodPairings(wine);
-            pairingList.innerHTML = pairings.map(pairing => `
-                <div class="pairing-item">
-                    <i class="${pairing.icon} pairing-icon"></i>
-                    <h3 class="pairing-name">${pairing.name}</h3>
-                </div>
-            `).join('');
+            // Dishes suggested by the same rule share its reason; it is shown once
+            const explainedRules = new Set();
+            pairingList.innerHTML = pairings.map(pairing => {
+                const reason = explainedRules.has(pairing.rule) ? '' : pairing.reason;
+                explainedRules.add(pairing.rule);
+                return `
+                    <div class="pairing-item">
+                        <i class="${pairing.icon} pairing-icon"></i>
+                        <h3 class="pairing-name">${pairing.name}</h3>
+                        ${reason ? `<p class="pairing-reason">${reason}</p>` : ''}
+                    </div>
+                `;
+            }).join('');
+
+            const section = document.getElementById('foodPairings');
+            if (section) {
+                section.style.display = pairings.length > 0 ? '' : 'none';
+            }
         }
     }
 
+    // Ranked by PairingEngine from family, style, grapes, region, alcohol and aging (see data/pairings.json)
     getFoodPairings(wine) {
-        const pairings = {
-            'ROSSO': [
-                { name: 'Roasted Meats', icon: 'fas fa-drumstick-bite' },
-                { name: 'Aged Cheeses', icon: 'fas fa-cheese' },
-                { name: 'Pasta with Red Sauce', icon: 'fas fa-utensils' },
-                { name: 'Dark Chocolate', icon: 'fas fa-cookie-bite' }
-            ],
-            'BIANCO': [
-                { name: 'Seafood', icon: 'fas fa-fish' },
-                { name: 'Light Pasta', icon: 'fas fa-utensils' },
-                { name: 'Fresh Salads', icon: 'fas fa-leaf' },
-                { name: 'Soft Cheeses', icon: 'fas fa-cheese' }
-            ],
-            'ROSATO': [
-                { name: 'Grilled Fish', icon: 'fas fa-fish' },
-                { name: 'Light Appetizers', icon: 'fas fa-cookie-bite' },
-                { name: 'Summer Salads', icon: 'fas fa-leaf' },
-                { name: 'Fresh Fruits', icon: 'fas fa-apple-alt' }
-            ],
-            'ARANCIONE': [
-                { name: 'Aged Cheeses', icon: 'fas fa-cheese' },
-                { name: 'Spiced Dishes', icon: 'fas fa-pepper-hot' },
-                { name: 'Roasted Vegetables', icon: 'fas fa-carrot' },
-                { name: 'Cured Meats', icon: 'fas fa-bacon' }
-            ],
-            'BOLLICINE': [
-                { name: 'Appetizers', icon: 'fas fa-cookie-bite' },
-                { name: 'Celebration Foods', icon: 'fas fa-birthday-cake' },
-                { name: 'Light Desserts', icon: 'fas fa-ice-cream' },
-                { name: 'Fresh Oysters', icon: 'fas fa-fish' }
-            ],
-            'NON ALCOLICO': [
-                { name: 'Fruit Platters', icon: 'fas fa-apple-alt' },
-                { name: 'Light Appetizers', icon: 'fas fa-cookie-bite' },
-                { name: 'Salads', icon: 'fas fa-leaf' },
-                { name: 'Desserts', icon: 'fas fa-ice-cream' }
-            ]
+        return this.pairingEngine.pair(wine, this.getPairingContext(wine), this.i18n.language);
+    }
+
+    getPairingContext(wine) {
+        return {
+            family: this.getWineFamily(wine.wine_type),
+            region: this.normalizeRegionName(wine.region),
+            appellation: this.getVintageInfo(wine).appellation
         };
-        return pairings[wine.wine_type] || pairings['ROSSO'];
     }
 
     updateProducerInfo(wine) {
         const producerName = document.getElementById('producerName');
         const producerDescription = document.getElementById('producerDescription');
+        const profile = this.getProducerProfile(this.normalizeProducerName(wine.wine_producer));
         
         if (producerName) {
-            producerName.textContent = wine.wine_producer || 'Producer Information Not Available';
+            const name = profile ? profile.name : wine.wine_producer;
+            producerName.innerHTML = name
+                ? this.createProducerLink(wine, name)
+                : this.t('producer.notAvailable');
         }
         
         if (producerDescription) {
@@ -930,28 +1576,465 @@ class WineListApp {
     }
 
     getProducerDescription(wine) {
-        // Generate a description based on the wine data
-        const region = wine.region || 'this region';
-        const wineType = this.getWineTypeName(wine.wine_type);
-        const organic = wine.organic ? ' This wine is produced using organic methods.' : '';
+        // Use the real biography when data/producers.json has one
+        const producer = this.normalizeProducerName(wine.wine_producer);
+        const profile = this.getProducerProfile(producer);
+        if (profile && profile.bio) {
+            return profile.bio;
+        }
+
+        // Otherwise describe the producer from the wines on the list
+        const producerWines = producer ? this.getProducerWines(producer) : [wine];
+        const regions = [...new Set(producerWines.map(w => this.normalizeRegionName(w.region)).filter(Boolean))];
+        const description = this.t('producer.listed', {
+            count: producerWines.length,
+            regions: regions.join(', ') || this.t('producer.defaultRegion')
+        });
         
-        return `This ${wineType.toLowerCase()} is crafted in ${region}, showcasing the unique terroir and winemaking traditions of the area.${organic} The producer focuses on quality and authenticity, bringing you an exceptional wine experience.`;
+        return producerWines.some(w => w.organic) ? `${description} ${this.t('producer.organicNote')}` : description;
     }
 
-    updateBackButton(wine) {
-        const backButton = document.getElementById('backButton');
+    updateRelatedWines(wine) {
+        const relatedWines = document.getElementById('relatedWines');
+        const relatedGroups = document.getElementById('relatedGroups');
+        if (!relatedWines || !relatedGroups) return;
+
+        const groups = this.getRelatedWines(wine);
+        relatedWines.hidden = groups.length === 0;
+        relatedGroups.innerHTML = groups.map(group => `
+            <div class="related-group">
+                <h3 class="related-group-title">${group.title}</h3>
+                <div class="related-strip">
+                    ${group.wines.map(related => this.createRelatedWineCard(related)).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Up to three strips of wines like this one: the same grape from other regions, the same region
+     * at another price, and more from the same producer. Each strip is ordered by getWineSimilarity();
+     * the wine itself (and its repeats in other sections of the list, by getWineKey()) never appears,
+     * nor does any wine twice.
+     */
+    getRelatedWines(wine) {
+        const wineKey = this.getWineKey(wine);
+        const shown = new Set([wineKey]);
+        const candidates = this.getServedWines().filter(other =>
+            this.getWineKey(other) !== wineKey && !this.isSoldOut(other));
+
+        const region = this.normalizeRegionName(wine.region);
+        const [grape] = this.getWineGrapes(wine);
+        const priceBand = this.getPriceBand(wine);
+        const producer = this.normalizeProducerName(wine.wine_producer);
+        const profile = this.getProducerProfile(producer);
+
+        const groups = [
+            grape && {
+                key: 'grape',
+                title: this.t('related.sameGrape', { grape }),
+                matches: other => this.normalizeRegionName(other.region) !== region && this.getWineGrapes(other).includes(grape)
+            },
+            region && {
+                key: 'region',
+                title: this.t('related.sameRegion', { region }),
+                matches: other => {
+                    const otherBand = this.getPriceBand(other);
+                    return this.normalizeRegionName(other.region) === region &&
+                        Boolean(otherBand) && (!priceBand || otherBand.id !== priceBand.id);
+                }
+            },
+            producer && {
+                key: 'producer',
+                title: this.t('related.sameProducer', { producer: profile ? profile.name : producer }),
+                matches: other => this.normalizeProducerName(other.wine_producer) === producer
+            }
+        ].filter(Boolean);
+
+        return groups.map(group => {
+            const ranked = candidates
+                .filter(group.matches)
+                .map(other => ({ wine: other, score: this.getWineSimilarity(wine, other) }))
+                .sort((a, b) => b.score - a.score);
+
+            const wines = [];
+            for (const { wine: other } of ranked) {
+                const key = this.getWineKey(other);
+                if (shown.has(key)) continue;
+                shown.add(key);
+                wines.push(other);
+                if (wines.length === this.maxRelatedWines) break;
+            }
+
+            return { key: group.key, title: group.title, wines };
+        }).filter(group => group.wines.length > 0);
+    }
+
+    // How alike two wines are: family, shared grapes, region and price band
+    getWineSimilarity(wine, other) {
+        let score = 0;
+        if (this.getWineFamily(wine.wine_type) === this.getWineFamily(other.wine_type)) {
+            score += 3;
+        }
+
+        const grapes = this.getWineGrapes(wine);
+        const otherGrapes = this.getWineGrapes(other);
+        const shared = grapes.filter(grape => otherGrapes.includes(grape)).length;
+        const allGrapes = new Set([...grapes, ...otherGrapes]).size;
+        if (allGrapes > 0) {
+            score += 4 * shared / allGrapes;
+        }
+
+        if (this.normalizeRegionName(wine.region) === this.normalizeRegionName(other.region)) {
+            score += 2;
+        }
+
+        const bands = this.getPriceBands().map(band => band.id);
+        const band = this.getPriceBand(wine);
+        const otherBand = this.getPriceBand(other);
+        if (band && otherBand) {
+            // Same band scores 1, neighbouring bands a half
+            const distance = Math.abs(bands.indexOf(band.id) - bands.indexOf(otherBand.id));
+            score += Math.max(0, 1 - distance / 2);
+        }
+
+        return score;
+    }
+
+    createRelatedWineCard(wine) {
+        const family = this.getWineFamily(wine.wine_type);
+        return `
+            <a href="${this.getWineDetailsUrl(wine)}" class="related-wine-card">
+                <span class="related-wine-family">${this.getWineFamilyLabel(family)}</span>
+                <span class="related-wine-name">${wine.wine_name}</span>
+                <span class="related-wine-meta">${[wine.wine_producer, this.normalizeRegionName(wine.region), this.formatVintageYear(wine)].filter(Boolean).join(' · ')}</span>
+                <span class="related-wine-grape">${wine.varietals || ''}</span>
+                <span class="related-wine-price">${this.formatPriceFormats(wine)}</span>
+            </a>
+        `;
+    }
+
+    async loadProducerData() {
+        // data/producers.json is optional: without it producers are still grouped, just without a bio
+        this.producers = {};
+        this.producerAliases = {};
+        try {
+            const response = await fetch('data/producers.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.producers = data.producers || {};
+            this.producerAliases = data.aliases || {};
+            console.log(`Loaded ${Object.keys(this.producers).length} producer profiles`);
+        } catch (error) {
+            console.log('No producer profiles loaded:', error.message);
+        }
+    }
+
+    // Folds the spellings of one estate together: "PLANETA*" -> PLANETA,
+    // "LIGHEA, DONNAFUGATA" -> DONNAFUGATA, "TIGNANELLO (ANTINORI)" -> ANTINORI
+    normalizeProducerName(producer) {
+        if (!producer) return '';
+
+        let name = String(producer)
+            .toUpperCase()
+            .replace(/[*®]/g, '')
+            .replace(/\.(?=\S)/g, '. ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        // Cuvée or estate name followed by the house in brackets
+        const house = name.match(/\(([^)]+)\)\s*$/);
+        if (house) {
+            name = house[1].trim();
+        }
+
+        // Cuvée prefix before the producer
+        if (name.includes(',')) {
+            name = name.split(',').pop().trim();
+        }
+
+        const aliases = this.producerAliases || {};
+        return aliases[name] || name;
+    }
+
+    getProducerProfile(producer) {
+        return (this.producers && this.producers[producer]) || null;
+    }
+
+    getProducerWines(producer) {
+        return this.wines.filter(wine => this.normalizeProducerName(wine.wine_producer) === producer);
+    }
+
+    getProducerUrl(producer) {
+        return `producer.html?name=${encodeURIComponent(producer)}`;
+    }
+
+    // Wraps the producer label in a link to the producer page (label may already be HTML)
+    createProducerLink(wine, label) {
+        const producer = this.normalizeProducerName(wine.wine_producer);
+        if (!producer) return label;
+        return `<a href="${this.getProducerUrl(producer)}" class="producer-link">${label}</a>`;
+    }
+
+    renderProducerPage() {
+        const urlParams = this.getPageParams();
+        const producer = this.normalizeProducerName(urlParams.get('name'));
+        const producerWines = producer ? this.getProducerWines(producer) : [];
+
+        if (producerWines.length === 0) {
+            this.showError(this.t('error.producerNotFound'));
+            return;
+        }
+
+        const profile = this.getProducerProfile(producer);
+        const displayName = profile ? profile.name : producer;
+        document.title = `${displayName} - Gran Caffè L'Aquila`;
+
+        const title = document.getElementById('producerTitle');
+        if (title) {
+            title.textContent = displayName;
+        }
+
+        const location = document.getElementById('producerLocation');
+        if (location) {
+            const regions = [...new Set(producerWines.map(wine => this.normalizeRegionName(wine.region)).filter(Boolean))];
+            location.textContent = profile && profile.location ? profile.location : regions.join(' · ');
+        }
+
+        const bio = document.getElementById('producerBio');
+        if (bio) {
+            bio.textContent = this.getProducerDescription(producerWines[0]);
+        }
+
+        const website = document.getElementById('producerWebsite');
+        if (website) {
+            if (profile && profile.website) {
+                website.href = profile.website;
+                website.style.display = '';
+            } else {
+                website.style.display = 'none';
+            }
+        }
+
+        const breadcrumb = document.querySelector('.breadcrumb');
+        if (breadcrumb) {
+            breadcrumb.innerHTML = `
+                <a href="index.html">${this.t('nav.home')}</a>
+                <i class="fas fa-chevron-right"></i>
+                <span>${WineSearchIndex.escapeHTML(displayName)}</span>
+            `;
+        }
+
+        // Every wine from the estate, grouped by family in list order
+        const familyOrder = ['ROSSO', 'BIANCO', 'ROSATO', 'ARANCIONE', 'BOLLICINE', 'NON ALCOLICO'];
+        this.filteredWines = [...producerWines].sort((a, b) =>
+            familyOrder.indexOf(this.getWineFamily(a.wine_type)) - familyOrder.indexOf(this.getWineFamily(b.wine_type))
+        );
+
+        const winesCount = document.querySelector('.wines-count');
+        if (winesCount) {
+            winesCount.textContent = this.t('producer.onList', { count: producerWines.length });
+        }
+
+        this.renderWines();
+    }
+
+    // Printable list: sections (list categories), then families, then regions
+    renderPrintPage() {
+        this.renderPrintControls();
+
+        const wines = this.getPrintWines();
+        const priceColumns = ['glass', 'split', 'bottle']
+            .filter(format => wines.some(wine => this.getPriceFormats(wine).some(f => f.format === format)));
+
+        const countElement = document.querySelector('.wines-count');
+        if (countElement) {
+            // The options chosen are printed with the list so each copy says what it covers
+            const options = [
+                this.currentFilters.category,
+                this.currentFilters.type ? this.getWineTypeName(this.currentFilters.type) : null,
+                this.currentFilters.region ? this.normalizeRegionName(this.currentFilters.region) : null,
+                this.byTheGlassOnly ? this.t('control.byTheGlass') : null
+            ].filter(Boolean);
+            countElement.textContent = [
+                this.t('wines.count', { count: wines.length }),
+                ...options,
+                this.t('print.printed', { date: new Date().toLocaleDateString(this.i18n.language) })
+            ].join(' · ');
+        }
+
+        const printList = document.getElementById('printList');
+        if (printList) {
+            const sections = this.groupWinesForPrint(wines);
+            printList.innerHTML = sections.length > 0
+                ? sections.map(section => this.createPrintSection(section, priceColumns)).join('')
+                : `<div class="loading">${this.t('print.empty')}</div>`;
+        }
+
+        document.title = `${this.t('print.title')} - Gran Caffè L'Aquila`;
+    }
+
+    renderPrintControls() {
+        const familyOrder = this.getFacetDefinitions().find(facet => facet.key === 'family').order;
+        const categories = [...new Set(this.wines.map(wine => wine.category).filter(Boolean))];
+        const families = familyOrder.filter(family => this.wines.some(wine => this.wineMatchesFamily(wine, family)));
+        const regions = [...new Set(this.wines.map(wine => this.normalizeRegionName(wine.region)).filter(Boolean))].sort();
+
+        const fillSelect = (id, allLabel, values, selected, formatValue = value => value) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = `<option value="">${allLabel}</option>` +
+                values.map(value => `<option value="${value}">${formatValue(value)}</option>`).join('');
+            select.value = selected || '';
+        };
+
+        fillSelect('printCategorySelect', this.t('print.allCategories'), categories, this.currentFilters.category);
+        fillSelect('printTypeSelect', this.t('print.allFamilies'), families, this.currentFilters.type,
+            family => this.getWineTypeName(family));
+        fillSelect('printRegionSelect', this.t('print.allRegions'), regions,
+            this.normalizeRegionName(this.currentFilters.region));
+    }
+
+    setPrintFilter(key, value) {
+        this.currentFilters[key] = value;
+
+        // Keep the options in the query string so a printed list can be opened again
+        const url = new URL(window.location.href);
+        if (value) {
+            url.searchParams.set(key, value);
+        } else {
+            url.searchParams.delete(key);
+        }
+        window.history.replaceState(window.history.state, '', url);
+
+        this.renderPrintPage();
+    }
+
+    getPrintWines() {
+        const region = this.normalizeRegionName(this.currentFilters.region);
+
+        return this.getServedWines().filter(wine => {
+            // Sold-out wines are left off the paper list
+            const isAvailable = this.getPriceFormats(wine).length > 0;
+            const matchesType = !this.currentFilters.type || this.wineMatchesFamily(wine, this.currentFilters.type);
+            const matchesRegion = !region || this.normalizeRegionName(wine.region) === region;
+            const matchesCategory = !this.currentFilters.category || wine.category === this.currentFilters.category;
+
+            return isAvailable && matchesType && matchesRegion && matchesCategory;
+        });
+    }
+
+    // Sections keep the order of the wine list; families follow the usual order, regions are alphabetical
+    groupWinesForPrint(wines) {
+        const familyOrder = this.getFacetDefinitions().find(facet => facet.key === 'family').order;
+        const sections = new Map();
+
+        wines.forEach(wine => {
+            const category = wine.category || this.t('print.otherWines');
+            const family = this.getWineFamily(wine.wine_type);
+            const region = this.normalizeRegionName(wine.region);
+
+            if (!sections.has(category)) sections.set(category, new Map());
+            const families = sections.get(category);
+            if (!families.has(family)) families.set(family, new Map());
+            const regions = families.get(family);
+            if (!regions.has(region)) regions.set(region, []);
+            regions.get(region).push(wine);
+        });
+
+        return [...sections].map(([category, families]) => ({
+            category,
+            families: [...families]
+                .sort(([a], [b]) => familyOrder.indexOf(a) - familyOrder.indexOf(b))
+                .map(([family, regions]) => ({
+                    family,
+                    regions: [...regions]
+                        .sort(([a], [b]) => a.localeCompare(b))
+                        .map(([region, regionWines]) => ({ region, wines: regionWines }))
+                }))
+        }));
+    }
+
+    createPrintSection(section, priceColumns) {
+        const columnCount = 4 + priceColumns.length;
+
+        // The table header repeats on every printed page, so it doubles as the running header
+        return `
+            <section class="print-section">
+                <table class="wine-table print-table">
+                    <thead>
+                        <tr class="print-running-header">
+                            <th colspan="${columnCount}">
+                                <span class="print-section-title">${section.category}</span>
+                                <span class="print-running-title">GRAN CAFFÈ L'AQUILA · ${this.t('print.title')}</span>
+                            </th>
+                        </tr>
+                        <tr class="print-columns">
+                            <th class="print-bin">${this.t('print.column.bin')}</th>
+                            <th>${this.t('print.column.wine')}</th>
+                            <th>${this.t('wines.column.producer')}</th>
+                            <th>${this.t('print.column.vintage')}</th>
+                            ${priceColumns.map(format => `<th class="print-price">${this.t(`price.${format}`)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    ${section.families.map(family => `
+                        <tbody class="print-family">
+                            <tr class="print-family-row">
+                                <th colspan="${columnCount}">${this.getWineTypeName(family.family)}</th>
+                            </tr>
+                            ${family.regions.map(region => `
+                                <tr class="print-region-row">
+                                    <th colspan="${columnCount}">${region.region || this.t('common.na')}</th>
+                                </tr>
+                                ${region.wines.map(wine => this.createPrintWineRow(wine, priceColumns)).join('')}
+                            `).join('')}
+                        </tbody>
+                    `).join('')}
+                </table>
+            </section>
+        `;
+    }
+
+    createPrintWineRow(wine, priceColumns) {
+        const prices = new Map(this.getPriceFormats(wine).map(format => [format.format, format.price]));
+        const vintageInfo = this.getVintageInfo(wine);
+        const year = vintageInfo.year
+            ? String(vintageInfo.year)
+            : (vintageInfo.isNonVintage ? this.t('vintage.nonVintage') : '');
+
+        return `
+            <tr class="print-wine-row">
+                <td class="print-bin">${wine.wine_number || ''}</td>
+                <td class="table-wine-name">${wine.wine_name}</td>
+                <td>${wine.wine_producer || ''}</td>
+                <td>${[VintageParser.formatAppellation(vintageInfo), year].filter(Boolean).join(' ')}</td>
+                ${priceColumns.map(format => `
+                    <td class="print-price">${prices.has(format) ? this.formatPrice(prices.get(format)) : ''}</td>
+                `).join('')}
+            </tr>
+        `;
+    }
+
+    updateBackButton(wine) {
+        const backButton = document.getElementById('backButton');
         const backButtonText = document.getElementById('backButtonText');
         
         if (backButton && backButtonText) {
             if (wine.region) {
                 // Check if there's a wine type filter in the URL parameters
-                const urlParams = new URLSearchParams(window.location.search);
+                const urlParams = this.getPageParams();
                 const type = urlParams.get('type');
+                const sort = urlParams.get('sort');
                 
                 let backUrl = `wines.html?region=${encodeURIComponent(wine.region)}`;
                 if (type) {
                     backUrl += `&type=${encodeURIComponent(type)}`;
                 }
+                if (sort) {
+                    backUrl += `&sort=${encodeURIComponent(sort)}`;
+                }
                 
                 backButton.href = backUrl;
                 
@@ -959,13 +2042,13 @@ class WineListApp {
                 if (type) {
                     const wineFamily = this.getWineFamily(wine.wine_type);
                     const typeName = this.getWineTypeName(wineFamily);
-                    backButtonText.textContent = `Back to ${wine.region} ${typeName}`;
+                    backButtonText.textContent = this.t('nav.backToRegionType', { region: wine.region, type: typeName });
                 } else {
-                    backButtonText.textContent = `Back to ${wine.region} Wines`;
+                    backButtonText.textContent = this.t('nav.backToRegionWines', { region: wine.region });
                 }
             } else {
                 backButton.href = 'regions.html';
-                backButtonText.textContent = 'Back to Regions';
+                backButtonText.textContent = this.t('nav.backToRegions');
             }
         }
     }
@@ -974,18 +2057,22 @@ class WineListApp {
         const breadcrumb = document.getElementById('breadcrumb');
         if (breadcrumb) {
             // Check if there's a wine type filter in the URL parameters
-            const urlParams = new URLSearchParams(window.location.search);
+            const urlParams = this.getPageParams();
             const type = urlParams.get('type');
+            const sort = urlParams.get('sort');
             
             let regionUrl = `wines.html?region=${encodeURIComponent(wine.region)}`;
             if (type) {
                 regionUrl += `&type=${encodeURIComponent(type)}`;
             }
+            if (sort) {
+                regionUrl += `&sort=${encodeURIComponent(sort)}`;
+            }
             
             breadcrumb.innerHTML = `
-                <a href="index.html">Home</a>
+                <a href="index.html">${this.t('nav.home')}</a>
                 <i class="fas fa-chevron-right"></i>
-                <a href="regions.html${type ? '?type=' + encodeURIComponent(type) : ''}">Wine Regions</a>
+                <a href="regions.html${type ? '?type=' + encodeURIComponent(type) : ''}">${this.t('nav.wineRegions')}</a>
                 <i class="fas fa-chevron-right"></i>
                 <a href="${regionUrl}">${wine.region}</a>
                 <i class="fas fa-chevron-right"></i>
@@ -995,20 +2082,41 @@ class WineListApp {
     }
 
     applyFilters() {
-        this.filteredWines = this.wines.filter(wine => {
-            const matchesType = !this.currentFilters.type || this.wineMatchesFamily(wine, this.currentFilters.type);
-            const matchesRegion = !this.currentFilters.region || wine.region === this.currentFilters.region;
-            const matchesSearch = !this.currentFilters.search || 
-                wine.wine_name.toLowerCase().includes(this.currentFilters.search) ||
-                wine.region.toLowerCase().includes(this.currentFilters.search) ||
-                (wine.varietals && wine.varietals.toLowerCase().includes(this.currentFilters.search));
-            
-            return matchesType && matchesRegion && matchesSearch;
-        });
+        // Region, type and search scope the page; facets narrow it further
+        this.filteredWines = this.applyFacets(this.getPageScopeWines());
+
+        console.log(`Found ${this.filteredWines.length} wines for ${this.currentFilters.region}`);
+
+        // Update wine count
+        const countElement = document.querySelector('.wines-count');
+        if (countElement) {
+            countElement.textContent = this.t('wines.count', { count: this.filteredWines.length });
+        }
 
         this.renderWines();
     }
 
+    setSearchQuery(query) {
+        this.currentFilters.search = query.trim();
+        this.searchResults = new Map();
+
+        if (this.currentFilters.search && this.searchIndex) {
+            this.searchIndex.search(this.currentFilters.search).forEach(result => {
+                this.searchResults.set(result.wine, result);
+            });
+        }
+    }
+
+    wineMatchesSearch(wine) {
+        return !this.currentFilters.search || Boolean(this.searchResults && this.searchResults.has(wine));
+    }
+
+    // Wrap the words that matched the active search in <mark> tags
+    highlightSearchMatch(wine, text) {
+        const match = this.currentFilters.search && this.searchResults && this.searchResults.get(wine);
+        return match ? this.searchIndex.highlight(text, match.matchedTokens) : text;
+    }
+
     toggleView(view) {
         this.currentView = view;
         const winesGrid = document.getElementById('winesGrid');
@@ -1023,18 +2131,1014 @@ class WineListApp {
             if (wineTable) wineTable.style.display = 'none';
             if (regionsGrid) regionsGrid.style.display = 'grid';
             if (regionsTable) regionsTable.style.display = 'none';
-            if (gridBtn) gridBtn.classList.add('active');
-            if (tableBtn) tableBtn.classList.remove('active');
         } else {
             if (winesGrid) winesGrid.style.display = 'none';
             if (wineTable) wineTable.style.display = 'block';
             if (regionsGrid) regionsGrid.style.display = 'none';
             if (regionsTable) regionsTable.style.display = 'block';
-            if (gridBtn) gridBtn.classList.remove('active');
-            if (tableBtn) tableBtn.classList.add('active');
+        }
+
+        // The pressed state tells screen readers which view is showing
+        [[gridBtn, 'grid'], [tableBtn, 'table']].forEach(([button, buttonView]) => {
+            if (!button) return;
+            button.classList.toggle('active', view === buttonView);
+            button.setAttribute('aria-pressed', view === buttonView ? 'true' : 'false');
+        });
+    }
+
+    loadByTheGlassPreference() {
+        try {
+            return sessionStorage.getItem('gcaByTheGlass') === 'true';
+        } catch (error) {
+            // Storage can be unavailable (e.g. private browsing)
+            return false;
+        }
+    }
+
+    setByTheGlass(enabled) {
+        this.byTheGlassOnly = enabled;
+        try {
+            sessionStorage.setItem('gcaByTheGlass', enabled ? 'true' : 'false');
+        } catch (error) {
+            console.warn('Could not save by the glass preference:', error);
+        }
+
+        this.updateByTheGlassToggle();
+        this.refreshCurrentPage();
+        this.announceResults();
+    }
+
+    updateByTheGlassToggle() {
+        const glassToggleBtn = document.getElementById('glassToggleBtn');
+        if (glassToggleBtn) {
+            glassToggleBtn.classList.toggle('active', this.byTheGlassOnly);
+            glassToggleBtn.setAttribute('aria-pressed', this.byTheGlassOnly ? 'true' : 'false');
+        }
+    }
+
+    /**
+     * The key a wine is saved, compared and linked by. Different wines share a bin (300 PROSECCO and
+     * PROSECCO EXTRA DRY; 136 VERDECA from LEONE DE CASTRIS and from VINEKA), so the key is the bin,
+     * name and producer, e.g. "136-verdeca-vineka". It is the same for the repeats of a wine in other
+     * sections of the list, including spelling variants such as "FERRARI BRUT*".
+     */
+    getWineKey(wine) {
+        if (!this.wineKeys.has(wine)) {
+            this.wineKeys.set(wine, [wine.wine_number, wine.wine_name, wine.wine_producer]
+                .map(part => WineSearchIndex.tokenize(part).join('-'))
+                .filter(Boolean)
+                .join('-'));
+        }
+        return this.wineKeys.get(wine);
+    }
+
+    // A wine by its key; a bare bin number (saved or shared before keys were used) finds the first wine with that bin
+    findWine(key) {
+        const id = String(key || '').trim();
+        return this.wines.find(wine => this.getWineKey(wine) === id) ||
+            this.wines.find(wine => wine.wine_number === id) ||
+            null;
+    }
+
+    // Keys for saved ids, so entries stored as bin numbers carry on working; ids no longer on the list are kept
+    resolveWineKeys(ids) {
+        return [...new Set(ids.map(id => {
+            const wine = this.findWine(id);
+            return wine ? this.getWineKey(wine) : id;
+        }))];
+    }
+
+    // "My selection": wines a guest saves on this device, stored by wine key
+    loadSelection() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('gcaSelection') || '[]');
+            return Array.isArray(saved) ? saved.filter(id => typeof id === 'string') : [];
+        } catch (error) {
+            console.warn('Could not restore the selection:', error);
+            return [];
+        }
+    }
+
+    saveSelection() {
+        try {
+            localStorage.setItem('gcaSelection', JSON.stringify(this.selection));
+        } catch (error) {
+            console.warn('Could not save the selection:', error);
+        }
+    }
+
+    isInSelection(wineKey) {
+        return this.selection.includes(String(wineKey));
+    }
+
+    toggleSelection(wineKey) {
+        const key = String(wineKey);
+        this.selection = this.isInSelection(key)
+            ? this.selection.filter(savedKey => savedKey !== key)
+            : [...this.selection, key];
+        this.saveSelection();
+
+        this.updateSelectionButtons();
+        this.updateSelectionLink();
+        if (this.getCurrentPage() === 'selection') {
+            this.renderSelectionPage();
+        }
+    }
+
+    clearSelection() {
+        if (this.selection.length === 0 || !confirm(this.t('selection.clearConfirm'))) return;
+
+        this.selection = [];
+        this.saveSelection();
+        this.updateSelectionLink();
+        this.renderSelectionPage();
+    }
+
+    getSelectedWines() {
+        return this.selection
+            .map(key => this.findWine(key))
+            .filter(Boolean);
+    }
+
+    // Heart button; the labelled version is used on the details page
+    createSelectionButton(wine, showLabel = false) {
+        const key = this.getWineKey(wine);
+        const isSelected = this.isInSelection(key);
+        const label = showLabel ? '' : this.getSelectionButtonLabel(key);
+
+        return `
+            <button type="button" class="selection-btn${isSelected ? ' active' : ''}${showLabel ? ' selection-btn-labelled' : ''}"
+                data-wine-id="${key}" aria-pressed="${isSelected}"${label ? ` aria-label="${label}" title="${label}"` : ''}>
+                ${this.getSelectionButtonContent(key, showLabel)}
+            </button>
+        `;
+    }
+
+    getSelectionButtonLabel(wineKey) {
+        const wine = this.findWine(wineKey);
+        return this.t(this.isInSelection(wineKey) ? 'selection.remove' : 'selection.add', {
+            name: wine ? wine.wine_name : wineKey
+        });
+    }
+
+    getSelectionButtonContent(wineKey, showLabel) {
+        const isSelected = this.isInSelection(wineKey);
+        const icon = `<i class="${isSelected ? 'fas' : 'far'} fa-heart" aria-hidden="true"></i>`;
+        return showLabel
+            ? `${icon} <span>${this.t(isSelected ? 'selection.saved' : 'selection.save')}</span>`
+            : icon;
+    }
+
+    // Updated in place so the button keeps keyboard focus
+    updateSelectionButtons() {
+        document.querySelectorAll('.selection-btn').forEach(button => {
+            const wineKey = button.getAttribute('data-wine-id');
+            const isSelected = this.isInSelection(wineKey);
+            const showLabel = button.classList.contains('selection-btn-labelled');
+
+            button.classList.toggle('active', isSelected);
+            button.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+            if (!showLabel) {
+                button.setAttribute('aria-label', this.getSelectionButtonLabel(wineKey));
+                button.title = button.getAttribute('aria-label');
+            }
+            button.innerHTML = this.getSelectionButtonContent(wineKey, showLabel);
+        });
+    }
+
+    // The share dialog on the wine details page
+    setupShareManager() {
+        this.shareManager = document.getElementById('shareModal') ? new ShareWineManager() : null;
+    }
+
+    setupSelectionLink() {
+        const header = document.querySelector('.luxury-header');
+        if (!header || header.querySelector('.selection-link') || this.getCurrentPage() === 'selection') return;
+
+        const link = document.createElement('a');
+        link.className = 'selection-link';
+        link.href = 'selection.html';
+        header.appendChild(link);
+        this.updateSelectionLink();
+    }
+
+    updateSelectionLink() {
+        const link = document.querySelector('.selection-link');
+        if (!link) return;
+
+        link.innerHTML = `
+            <i class="${this.selection.length > 0 ? 'fas' : 'far'} fa-heart" aria-hidden="true"></i>
+            <span>${this.t('selection.link')}</span>
+            ${this.selection.length > 0 ? `<span class="selection-count">${this.selection.length}</span>` : ''}
+        `;
+    }
+
+    renderSelectionPage() {
+        const wines = this.getSelectedWines();
+        const missing = this.selection.length - wines.length;
+
+        const countElement = document.querySelector('.wines-count');
+        if (countElement) {
+            countElement.textContent = this.t('wines.count', { count: wines.length });
+        }
+
+        const status = document.getElementById('selectionStatus');
+        if (status && !status.textContent && missing > 0) {
+            status.textContent = this.t('selection.missing', { count: missing });
+        }
+
+        const list = document.getElementById('selectionList');
+        if (list) {
+            list.innerHTML = wines.length > 0
+                ? `
+                    <p class="selection-server-heading">${this.t('selection.serverHeading')}</p>
+                    ${wines.map(wine => this.createSelectionItem(wine)).join('')}
+                `
+                : `<div class="loading">${this.t('selection.empty')}</div>`;
+        }
+
+        document.getElementById('shareSelectionBtn').disabled = wines.length === 0;
+        document.getElementById('clearSelectionBtn').disabled = wines.length === 0;
+        this.updateSelectionLargeType();
+        document.title = `${this.t('selection.link')} - Gran Caffè L'Aquila`;
+    }
+
+    createSelectionItem(wine) {
+        const vintageInfo = this.getVintageInfo(wine);
+
+        return `
+            <div class="selection-item">
+                <div class="selection-item-bin">${wine.wine_number}</div>
+                <div class="selection-item-wine">
+                    <h3 class="wine-name"><a href="${this.getWineDetailsUrl(wine)}">${wine.wine_name}</a></h3>
+                    <p class="wine-producer">${wine.wine_producer || this.t('wine.producerNotSpecified')}</p>
+                    <p class="selection-item-vintage">${[VintageParser.formatAppellation(vintageInfo), this.formatVintageYear(wine)].filter(Boolean).join(' · ')}</p>
+                </div>
+                <div class="wine-price">${this.formatPriceFormats(wine)}</div>
+                ${this.createSelectionButton(wine)}
+            </div>
+        `;
+    }
+
+    // Large type for handing the phone to the server: only the list is shown
+    setSelectionLargeType(enabled) {
+        this.selectionLargeType = enabled;
+        this.updateSelectionLargeType();
+        window.scrollTo(0, 0);
+    }
+
+    updateSelectionLargeType() {
+        document.body.classList.toggle('selection-large-type', this.selectionLargeType);
+
+        const largeTypeBtn = document.getElementById('largeTypeBtn');
+        if (largeTypeBtn) {
+            largeTypeBtn.classList.toggle('active', this.selectionLargeType);
+            largeTypeBtn.setAttribute('aria-pressed', this.selectionLargeType ? 'true' : 'false');
+            largeTypeBtn.querySelector('span').textContent = this.t(this.selectionLargeType ? 'selection.exitLarge' : 'selection.showServer');
+        }
+    }
+
+    // Region, appellation and vintage, as printed under the name on a share card
+    getWineShareDetails(wine) {
+        const { year, isNonVintage, appellation } = this.getVintageInfo(wine);
+        const vintage = year ? String(year) : (isNonVintage ? this.t('vintage.nonVintage') : '');
+        return [...new Set([wine.region, appellation, vintage].filter(Boolean))];
+    }
+
+    getShareCardWine(wine) {
+        const family = this.getWineFamily(wine.wine_type);
+        return {
+            name: wine.wine_name,
+            producer: String(wine.wine_producer || '').replace(/\*/g, '').trim(),
+            details: this.getWineShareDetails(wine).join(' · '),
+            family,
+            familyName: this.getWineFamilyLabel(family)
+        };
+    }
+
+    // "MORELLINO DI SCANSANO by HEBA (Red, TOSCANA, SCANSANO, 2019) on the wine list of Gran Caffè L'Aquila"
+    getWineShareText(wine) {
+        const { name, producer, family } = this.getShareCardWine(wine);
+        return this.t('share.wineText', {
+            wine: producer ? this.t('share.byProducer', { name, producer }) : name,
+            details: [this.getWineFamilyLabel(family), ...this.getWineShareDetails(wine)].join(', ')
+        });
+    }
+
+    getWineShareContent(wine) {
+        return {
+            text: this.getWineShareText(wine),
+            card: { wines: [this.getShareCardWine(wine)], footer: this.t('share.cardFooter') },
+            cardAlt: this.t('share.cardAlt', { name: wine.wine_name }),
+            fileName: `gran-caffe-laquila-${wine.wine_number}.png`
+        };
+    }
+
+    // Share dialog content for several wines; the card lists as many as fit and counts the rest
+    getWineListShareContent(wines, options) {
+        const listed = wines.slice(0, WineShareCard.listRows);
+        const names = wines.map(wine => wine.wine_name);
+        return {
+            heading: options.heading,
+            title: options.title,
+            url: options.url,
+            text: this.t('share.listText', {
+                count: wines.length,
+                wines: names.length > 10 ? `${names.slice(0, 10).join(', ')}…` : names.join(', ')
+            }),
+            card: {
+                title: options.cardTitle,
+                wines: listed.map(wine => this.getShareCardWine(wine)),
+                more: wines.length > listed.length ? this.t('share.more', { count: wines.length - listed.length }) : '',
+                footer: this.t('share.cardFooter')
+            },
+            cardAlt: this.t('share.cardAltList', { count: wines.length }),
+            fileName: options.fileName
+        };
+    }
+
+    getSelectionShareUrl() {
+        // Commas are left unencoded so the link stays short and readable
+        const url = new URL('selection.html', document.baseURI);
+        url.search = `?wines=${this.selection.map(key => encodeURIComponent(key)).join(',')}`;
+        return url.toString();
+    }
+
+    // The share dialog with the link that rebuilds the selection and a card listing its wines
+    shareSelection() {
+        const wines = this.getSelectedWines();
+        if (!this.shareManager || wines.length === 0) return;
+
+        this.shareManager.setContent({
+            ...this.getWineListShareContent(wines, {
+                heading: this.t('selection.share'),
+                title: this.t('selection.shareTitle'),
+                url: this.getSelectionShareUrl(),
+                cardTitle: this.t('selection.title'),
+                fileName: 'gran-caffe-laquila-selection.png'
+            }),
+            copied: this.t('selection.linkCopied')
+        });
+        this.shareManager.openShareModal();
+    }
+
+    // A shared link (selection.html?wines=136-verdeca-vineka,556-...) adds its wines to the selection
+    // on this device; links with bare bin numbers from before keys were used still work
+    importSharedSelection(value) {
+        const shared = this.resolveWineKeys(value.split(',').filter(id => this.findWine(id)));
+        const added = shared.filter(key => !this.isInSelection(key));
+
+        this.selection = [...this.selection, ...added];
+        this.saveSelection();
+        this.updateSelectionLink();
+
+        const status = document.getElementById('selectionStatus');
+        if (status) {
+            status.textContent = this.t('selection.imported', { count: added.length });
+        }
+
+        // Drop the parameter so reloading the page does not import the wines again
+        const url = new URL(window.location.href);
+        url.searchParams.delete('wines');
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    // Wines picked for side-by-side comparison by wine key (kept for the visit, like the filters)
+    loadCompareList() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem('gcaCompare') || '[]');
+            return Array.isArray(saved) ? saved.filter(id => typeof id === 'string') : [];
+        } catch (error) {
+            console.warn('Could not restore the comparison:', error);
+            return [];
+        }
+    }
+
+    setCompareList(keys) {
+        this.compareList = keys.slice(0, this.maxCompareWines);
+        try {
+            sessionStorage.setItem('gcaCompare', JSON.stringify(this.compareList));
+        } catch (error) {
+            console.warn('Could not save the comparison:', error);
+        }
+
+        this.updateCompareButtons();
+        this.updateCompareTray();
+    }
+
+    isInCompare(wineKey) {
+        return this.compareList.includes(String(wineKey));
+    }
+
+    toggleCompare(wineKey) {
+        const key = String(wineKey);
+        if (this.isInCompare(key)) {
+            this.setCompareList(this.compareList.filter(compareKey => compareKey !== key));
+        } else if (this.compareList.length >= this.maxCompareWines) {
+            this.updateCompareTray(this.t('compare.full', { max: this.maxCompareWines }));
+        } else {
+            this.setCompareList([...this.compareList, key]);
+        }
+    }
+
+    createCompareButton(wine) {
+        const key = this.getWineKey(wine);
+        const isSelected = this.isInCompare(key);
+        const label = this.getCompareButtonLabel(key);
+        return `
+            <button type="button" class="compare-btn${isSelected ? ' active' : ''}" data-wine-id="${key}"
+                aria-pressed="${isSelected}" aria-label="${label}" title="${label}">
+                <i class="fas fa-balance-scale" aria-hidden="true"></i>
+            </button>
+        `;
+    }
+
+    getCompareButtonLabel(wineKey) {
+        const wine = this.findWine(wineKey);
+        return this.t(this.isInCompare(wineKey) ? 'compare.removeLabel' : 'compare.addLabel', {
+            name: wine ? wine.wine_name : wineKey
+        });
+    }
+
+    updateCompareButtons() {
+        document.querySelectorAll('.compare-btn').forEach(button => {
+            const wineKey = button.getAttribute('data-wine-id');
+            const isSelected = this.isInCompare(wineKey);
+            button.classList.toggle('active', isSelected);
+            button.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+            button.setAttribute('aria-label', this.getCompareButtonLabel(wineKey));
+            button.title = button.getAttribute('aria-label');
+        });
+    }
+
+    // compare.html?wines=300-prosecco-la-villa,300-prosecco-extra-dry-la-villa; bare bin numbers from older links still open
+    getCompareUrl(keys) {
+        return `compare.html?wines=${keys.map(key => encodeURIComponent(key)).join(',')}`;
+    }
+
+    setupCompareTray() {
+        const existing = document.querySelector('.compare-tray');
+        if (this.getCurrentPage() === 'compare') {
+            if (existing) existing.remove();
+            return;
+        }
+        if (existing) return;
+
+        const tray = document.createElement('div');
+        tray.className = 'compare-tray';
+        tray.setAttribute('role', 'region');
+        document.body.appendChild(tray);
+        this.updateCompareTray();
+    }
+
+    // Shown once a wine is picked; the link opens when there are at least two
+    updateCompareTray(message) {
+        const tray = document.querySelector('.compare-tray');
+        if (!tray) return;
+
+        const count = this.compareList.length;
+        tray.setAttribute('aria-label', this.t('compare.trayLabel'));
+        tray.style.display = count > 0 ? '' : 'none';
+        tray.innerHTML = `
+            <span class="compare-tray-count" role="status">${message || this.t('compare.count', { count, max: this.maxCompareWines })}</span>
+            ${count >= 2
+                ? `<a class="view-btn compare-open-btn" href="${this.getCompareUrl(this.compareList)}">${this.t('compare.open')}</a>`
+                : `<span class="compare-tray-hint">${this.t('compare.needMore')}</span>`}
+            <button type="button" class="view-btn compare-clear-btn">${this.t('compare.clear')}</button>
+        `;
+    }
+
+    getComparedWines() {
+        const urlParams = this.getPageParams();
+        const keys = urlParams.get('wines') ? urlParams.get('wines').split(',') : this.compareList;
+        const wines = keys.map(key => this.findWine(key)).filter(Boolean);
+        return wines
+            .filter((wine, index) => wines.indexOf(wine) === index)
+            .slice(0, this.maxCompareWines);
+    }
+
+    renderComparePage() {
+        const container = document.getElementById('compareTable');
+        if (!container) return;
+
+        const wines = this.getComparedWines();
+        document.title = `${this.t('compare.pageTitle')} - Gran Caffè L'Aquila`;
+        if (wines.length < 2) {
+            container.innerHTML = `<div class="loading">${this.t('compare.needMore')}</div>`;
+            return;
+        }
+
+        const rows = this.getComparisonRows(wines);
+        container.innerHTML = `
+            <table class="wine-table compare-table">
+                <thead>
+                    <tr>
+                        <td></td>
+                        ${wines.map(wine => `
+                            <th scope="col">
+                                <a href="${this.getWineDetailsUrl(wine)}" class="compare-wine-name">${wine.wine_name}</a>
+                                <span class="compare-wine-producer">${wine.wine_producer || this.t('wine.producerNotSpecified')}</span>
+                                <button type="button" class="compare-remove-btn" data-wine-id="${this.getWineKey(wine)}"
+                                    aria-label="${this.t('compare.remove', { name: wine.wine_name })}">
+                                    <i class="fas fa-times" aria-hidden="true"></i>
+                                </button>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.differs ? 'compare-differs' : ''}">
+                            <th scope="row">${row.label}</th>
+                            ${row.values.map(value => `<td>${value}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.compare-remove-btn').forEach(button => {
+            button.addEventListener('click', () => this.removeFromComparison(button.getAttribute('data-wine-id')));
+        });
+    }
+
+    removeFromComparison(wineKey) {
+        const keys = this.getComparedWines().map(wine => this.getWineKey(wine)).filter(key => key !== wineKey);
+        this.setCompareList(keys);
+        window.history.replaceState(window.history.state, '', this.getCompareUrl(keys));
+        this.renderComparePage();
+    }
+
+    // One row per field; a row is marked when the wines do not all share the same value
+    getComparisonRows(wines) {
+        const na = this.t('common.na');
+        const priceRow = format => ({
+            label: this.t(`price.${format}`),
+            isOffered: wine => this.getPriceFormats(wine).some(f => f.format === format),
+            getValue: wine => {
+                const price = this.getPriceFormats(wine).find(f => f.format === format);
+                return price ? this.formatPrice(price.price) : (this.isSoldOut(wine) ? this.t('price.soldOut') : '—');
+            }
+        });
+
+        const fields = [
+            priceRow('glass'),
+            priceRow('split'),
+            priceRow('bottle'),
+            { label: this.t('details.vintage'), getValue: wine => this.formatVintageYear(wine) },
+            { label: this.t('details.appellation'), getValue: wine => VintageParser.formatAppellation(this.getVintageInfo(wine)) || na },
+            { label: this.t('details.region'), getValue: wine => wine.region || na },
+            { label: this.t('details.alcohol'), getValue: wine => wine.alcohol || na },
+            { label: this.t('details.grapeVariety'), getValue: wine => wine.varietals || na },
+            { label: this.t('details.aging'), getValue: wine => wine.aging || na },
+            { label: this.t('details.soil'), getValue: wine => wine.soil || na },
+            { label: this.t('details.elevation'), getValue: wine => wine.elevation || na },
+            { label: this.t('details.organic'), getValue: wine => wine.organic ? this.t('details.certifiedOrganic') : this.t('details.conventional') },
+            {
+                label: this.t('details.pairings'),
+                getValue: wine => this.getFoodPairings(wine).map(pairing => pairing.name).join(', ')
+            }
+        ];
+
+        // Serving formats none of the wines are offered in are left out
+        return fields.filter(field => !field.isOffered || wines.some(wine => field.isOffered(wine))).map(field => {
+            const values = wines.map(wine => field.getValue(wine));
+            return {
+                label: field.label,
+                values,
+                differs: new Set(values.map(value => String(value).toLowerCase())).size > 1
+            };
+        });
+    }
+
+    // Sommelier wizard (home page): a few questions, then the best matches on the list
+    loadSommelierAnswers() {
+        try {
+            return JSON.parse(sessionStorage.getItem('gcaSommelier'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveSommelierAnswers() {
+        try {
+            if (this.sommelierAnswers) {
+                sessionStorage.setItem('gcaSommelier', JSON.stringify(this.sommelierAnswers));
+            } else {
+                sessionStorage.removeItem('gcaSommelier');
+            }
+        } catch (error) {
+            console.warn('Could not save the sommelier answers:', error);
+        }
+    }
+
+    createEmptySommelierAnswers() {
+        return { family: 'any', course: 'any', serving: 'any', budget: 'any', body: 'any', sweetness: 'any', organic: false };
+    }
+
+    // Each step asks one or more questions; answers are kept in this.sommelierAnswers under the question key
+    getSommelierSteps(answers) {
+        const noPreference = { value: 'any', label: this.t('sommelier.noPreference') };
+        const courses = this.pairingEngine.courses;
+
+        return [
+            [{
+                key: 'family',
+                label: this.t('sommelier.question.family'),
+                options: ['ROSSO', 'BIANCO', 'ROSATO', 'ARANCIONE', 'BOLLICINE', 'NON ALCOLICO']
+                    .map(family => ({ value: family, label: this.getWineTypeName(family) }))
+                    .concat(noPreference)
+            }],
+            [{
+                key: 'course',
+                label: this.t('sommelier.question.course'),
+                options: Object.keys(courses)
+                    .map(key => ({ value: key, label: PairingEngine.localize(courses[key].name, this.i18n.language), icon: courses[key].icon }))
+                    .concat({ value: 'any', label: this.t('sommelier.justTheWine') })
+            }],
+            [{
+                key: 'serving',
+                label: this.t('sommelier.question.serving'),
+                options: [
+                    { value: 'glass', label: this.t('sommelier.serving.glass'), icon: 'fas fa-wine-glass' },
+                    { value: 'bottle', label: this.t('sommelier.serving.bottle'), icon: 'fas fa-wine-bottle' },
+                    noPreference
+                ]
+            }],
+            [{
+                key: 'budget',
+                label: this.t(answers.serving === 'glass' ? 'sommelier.question.budgetGlass' : 'sommelier.question.budget'),
+                options: this.getSommelierBudgets(answers.serving)
+            }],
+            [
+                {
+                    key: 'body',
+                    label: this.t('sommelier.question.body'),
+                    options: [
+                        { value: 'light', label: this.t('sommelier.body.light') },
+                        { value: 'bold', label: this.t('sommelier.body.bold') },
+                        noPreference
+                    ]
+                },
+                {
+                    key: 'sweetness',
+                    label: this.t('sommelier.question.sweetness'),
+                    options: [
+                        { value: 'dry', label: this.t('sommelier.sweetness.dry') },
+                        { value: 'sweet', label: this.t('sommelier.sweetness.sweet') },
+                        noPreference
+                    ]
+                },
+                {
+                    key: 'organic',
+                    label: this.t('sommelier.question.organic'),
+                    type: 'checkbox',
+                    options: [{ value: 'yes', label: this.t('sommelier.organic'), icon: 'fas fa-leaf' }]
+                }
+            ]
+        ];
+    }
+
+    // Upper price limits for the chosen serving; glass prices use their own, smaller steps
+    getSommelierBudgets(serving) {
+        const limits = serving === 'glass'
+            ? [12, 14]
+            : this.getPriceBands().map(band => band.max).filter(max => max !== Infinity);
+
+        return limits
+            .map(max => ({ value: String(max), label: this.t('price.under', { price: this.formatPrice(max) }) }))
+            .concat({ value: 'any', label: this.t('sommelier.noLimit') });
+    }
+
+    showSommelierWizard() {
+        this.closeSommelierWizard();
+        this.sommelierDraft = { ...this.createEmptySommelierAnswers(), ...this.sommelierAnswers };
+        this.sommelierStep = 0;
+
+        const panel = document.createElement('div');
+        panel.className = 'filter-dropdown sommelier-panel';
+        panel.innerHTML = `
+            <div class="filter-dropdown-content sommelier-panel-content" role="dialog" aria-modal="true" aria-labelledby="sommelierTitle" tabindex="-1">
+                <button type="button" class="sommelier-close" aria-label="${this.t('sommelier.close')}">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+                <h3 id="sommelierTitle">${this.t('sommelier.title')}</h3>
+                <p class="sommelier-progress"></p>
+                <form class="sommelier-form"></form>
+            </div>
+        `;
+
+        document.body.appendChild(panel);
+        this.sommelierPanel = panel;
+        this.sommelierFocusTrap = new DialogFocusTrap(panel.querySelector('[role="dialog"]'), () => this.closeSommelierWizard());
+        this.sommelierFocusTrap.activate();
+        this.renderSommelierStep();
+
+        const form = panel.querySelector('.sommelier-form');
+        form.addEventListener('change', (e) => {
+            const input = e.target;
+            this.sommelierDraft[input.name] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.sommelierStep < this.getSommelierSteps(this.sommelierDraft).length - 1) {
+                this.sommelierStep++;
+                this.renderSommelierStep();
+            } else {
+                this.finishSommelierWizard();
+            }
+        });
+        form.addEventListener('click', (e) => {
+            if (e.target.closest('.sommelier-back') && this.sommelierStep > 0) {
+                this.sommelierStep--;
+                this.renderSommelierStep();
+            }
+        });
+
+        panel.querySelector('.sommelier-close').addEventListener('click', () => this.closeSommelierWizard());
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) {
+                this.closeSommelierWizard();
+            }
+        });
+    }
+
+    renderSommelierStep() {
+        if (!this.sommelierPanel) return;
+
+        const answers = this.sommelierDraft;
+        const steps = this.getSommelierSteps(answers);
+        const isLastStep = this.sommelierStep === steps.length - 1;
+
+        // A budget chosen for bottles does not carry over to glasses (and back)
+        steps[this.sommelierStep].forEach(question => {
+            if (!question.type && !question.options.some(option => option.value === answers[question.key])) {
+                answers[question.key] = 'any';
+            }
+        });
+
+        this.sommelierPanel.querySelector('.sommelier-progress').textContent =
+            this.t('sommelier.progress', { step: this.sommelierStep + 1, total: steps.length });
+
+        const form = this.sommelierPanel.querySelector('.sommelier-form');
+        form.innerHTML = `
+            ${steps[this.sommelierStep].map(question => `
+                <fieldset class="facet-section sommelier-question">
+                    <legend class="facet-title">${question.label}</legend>
+                    <div class="facet-options">
+                        ${question.options.map(option => {
+                            const checked = question.type === 'checkbox' ? answers[question.key] === true : answers[question.key] === option.value;
+                            return `
+                                <label class="facet-option">
+                                    <input type="${question.type || 'radio'}" name="${question.key}" value="${option.value}" ${checked ? 'checked' : ''}>
+                                    ${option.icon ? `<i class="${option.icon}" aria-hidden="true"></i>` : ''}
+                                    <span class="facet-option-label">${option.label}</span>
+                                </label>
+                            `;
+                        }).join('')}
+                    </div>
+                </fieldset>
+            `).join('')}
+            <div class="filter-actions">
+                <button type="button" class="close-filter sommelier-back" ${this.sommelierStep === 0 ? 'disabled' : ''}>${this.t('sommelier.back')}</button>
+                <button type="submit" class="clear-filters sommelier-next">${this.t(isLastStep ? 'sommelier.showMatches' : 'sommelier.next')}</button>
+            </div>
+        `;
+
+        const firstInput = form.querySelector('input:checked') || form.querySelector('input');
+        if (firstInput) firstInput.focus();
+    }
+
+    // restoreFocus is false when the caller moves focus itself (to the suggestions)
+    closeSommelierWizard(restoreFocus = true) {
+        if (this.sommelierPanel && this.sommelierPanel.parentNode) {
+            this.sommelierPanel.parentNode.removeChild(this.sommelierPanel);
+        }
+        this.sommelierPanel = null;
+
+        if (this.sommelierFocusTrap) {
+            this.sommelierFocusTrap.release(restoreFocus);
+            this.sommelierFocusTrap = null;
         }
     }
 
+    finishSommelierWizard() {
+        this.sommelierAnswers = this.sommelierDraft;
+        this.saveSommelierAnswers();
+        this.closeSommelierWizard(false);
+        this.renderSommelierResults();
+
+        const title = document.getElementById('sommelierResultsTitle');
+        if (title) {
+            title.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            title.focus({ preventScroll: true });
+        }
+    }
+
+    clearSommelierResults() {
+        this.sommelierAnswers = null;
+        this.saveSommelierAnswers();
+        this.renderSommelierResults();
+        document.getElementById('sommelierBtn').focus();
+    }
+
+    renderSommelierResults() {
+        const section = document.getElementById('sommelierResults');
+        if (!section) return;
+
+        section.hidden = !this.sommelierAnswers;
+        if (!this.sommelierAnswers) return;
+
+        const { matches, overBudget } = this.getSommelierMatches(this.sommelierAnswers);
+        let note = '';
+        if (matches.length === 0) {
+            note = this.t('sommelier.noMatches');
+        } else if (overBudget) {
+            note = this.t('sommelier.overBudget');
+        }
+        document.getElementById('sommelierResultsNote').textContent = note;
+
+        document.getElementById('sommelierMatches').innerHTML = matches.map(match => `
+            <div class="sommelier-match">
+                <p class="sommelier-reason"><i class="fas fa-quote-left" aria-hidden="true"></i> ${match.reasons.join(' · ')}</p>
+                ${this.createWineCard(match.wine)}
+            </div>
+        `).join('');
+    }
+
+    // Style, serving and budget narrow the list; food, body, sweetness and organic rank what is left.
+    // When nothing fits the budget the closest wines above it are offered instead.
+    getSommelierMatches(answers) {
+        let candidates = this.getSommelierCandidates(answers, true);
+        let overBudget = false;
+        if (candidates.length === 0 && answers.budget !== 'any') {
+            candidates = this.getSommelierCandidates(answers, false);
+            overBudget = candidates.length > 0;
+        }
+
+        // A wine listed in two sections (same wine key, see getWineKey) is suggested once
+        const seen = new Set();
+        const matches = candidates
+            .map(wine => this.scoreSommelierMatch(wine, answers))
+            .sort((a, b) => b.score - a.score || (overBudget ? this.getSommelierPrice(a.wine, answers.serving) - this.getSommelierPrice(b.wine, answers.serving) : 0))
+            .filter(match => {
+                const key = this.getWineKey(match.wine);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, this.sommelierMatchCount);
+
+        return { matches, overBudget };
+    }
+
+    getSommelierCandidates(answers, withinBudget) {
+        return this.wines.filter(wine => {
+            if (this.isSoldOut(wine) || this.getPriceFormats(wine).length === 0) return false;
+            if (answers.family !== 'any' && !this.wineMatchesFamily(wine, answers.family)) return false;
+
+            const price = this.getSommelierPrice(wine, answers.serving);
+            if (price === null) return false;
+            return !withinBudget || answers.budget === 'any' || price < Number(answers.budget);
+        });
+    }
+
+    // Price of the serving the guest asked for, or null when the wine is not offered that way
+    getSommelierPrice(wine, serving) {
+        if (serving === 'any') return this.getSortPrice(wine);
+        const format = this.getPriceFormats(wine).find(f => f.format === serving);
+        return format ? format.price : null;
+    }
+
+    // Returns { wine, score, reasons } where reasons explain the pick in a line
+    scoreSommelierMatch(wine, answers) {
+        let score = 0;
+        const reasons = [];
+
+        const course = this.pairingEngine.courses[answers.course];
+        if (course) {
+            const pairing = this.pairingEngine.rank(wine, this.getPairingContext(wine), this.i18n.language)
+                .find(candidate => course.dishes.includes(candidate.key));
+            if (pairing) {
+                score += Math.min(pairing.score, 80) / 2;
+                reasons.push(this.t('sommelier.reason.pairs', { dish: pairing.name }));
+            } else {
+                score -= 20;
+            }
+        }
+
+        if (answers.body !== 'any') {
+            const body = this.getWineBody(wine);
+            if (body === answers.body) {
+                score += 20;
+                reasons.push(this.t(`sommelier.reason.${body}`));
+            } else if (body === 'medium') {
+                score += 5;
+            } else {
+                score -= 15;
+            }
+        }
+
+        if (answers.sweetness !== 'any') {
+            const isSweet = this.isSweetWine(wine);
+            if (answers.sweetness === 'sweet') {
+                score += isSweet ? 30 : -30;
+                if (isSweet) reasons.push(this.t('sommelier.reason.sweet'));
+            } else {
+                score += isSweet ? -40 : 5;
+            }
+        }
+
+        if (answers.organic && wine.organic) {
+            score += 15;
+            reasons.push(this.t('sommelier.reason.organic'));
+        }
+
+        if (reasons.length === 0) {
+            reasons.push(this.t('sommelier.reason.origin', {
+                family: this.t(`familyShort.${this.getWineFamily(wine.wine_type)}`),
+                region: this.normalizeRegionName(wine.region)
+            }));
+        }
+
+        return { wine, score, reasons };
+    }
+
+    // Body from the tasting profile, or a rough guess from style, grapes, aging and alcohol: 'light', 'medium' or 'bold'
+    getWineBody(wine) {
+        const profile = wine.tasting_profile;
+        if (profile && profile.body) {
+            return profile.body <= 2 ? 'light' : profile.body === 3 ? 'medium' : 'bold';
+        }
+
+        const family = this.getWineFamily(wine.wine_type);
+        const style = [wine.wine_type, wine.wine_name, wine.wine_vintage, wine.varietals, wine.aging].filter(Boolean).join(' ').toUpperCase();
+        const alcohol = parseFloat(String(wine.alcohol || '').replace(',', '.'));
+
+        if (/AMARONE|BAROLO|BRUNELLO|TAURASI|SAGRANTINO|NEBBIOLO|AGLIANICO|PRIMITIVO|CABERNET SAUVIGNON|SUPERTUSCAN|RIPASSO/.test(style) || alcohol >= 14.5) {
+            return 'bold';
+        }
+        if (['BOLLICINE', 'ROSATO', 'NON ALCOLICO'].includes(family) || alcohol <= 12.5 ||
+            /PINOT NERO|PINOT NOIR|FRAPPATO|SCHIAVA|LAMBRUSCO|GRIGNOLINO|BARDOLINO/.test(style)) {
+            return 'light';
+        }
+        if (family === 'BIANCO') {
+            return /OAK|BARRIQUE|ROVERE|LEGNO/.test(style) ? 'medium' : 'light';
+        }
+        return alcohol >= 14 ? 'bold' : 'medium';
+    }
+
+    // From the tasting profile when there is one; otherwise "DOLCE" in the type or a sweet style in the name
+    // (brut and pas dosé wines are dry whatever the type says)
+    isSweetWine(wine) {
+        const profile = wine.tasting_profile;
+        if (profile && profile.sweetness) return profile.sweetness >= 4;
+
+        const name = String(wine.wine_name || '').toUpperCase();
+        if (/BRUT|PAS DOS|DOSAGE ZERO/.test(name)) return false;
+        return /\bDOLCE\b/.test(String(wine.wine_type || '').toUpperCase()) ||
+            /MOSCATO|PASSITO|BRACHETTO|RECIOTO|DEMI-SEC|AMABILE|VIN SANTO/.test(name);
+    }
+
+    refreshCurrentPage() {
+        // Re-render the current page without losing the active search
+        switch (this.getCurrentPage()) {
+            case 'index':
+                this.applyIndexSearch();
+                this.renderSommelierResults();
+                break;
+            case 'regions':
+                this.renderRegionsPage();
+                break;
+            case 'wines':
+                this.renderWinesPage();
+                break;
+            case 'wine-details':
+                this.renderWineDetailsPage();
+                break;
+            case 'producer':
+                this.renderProducerPage();
+                break;
+            case 'print':
+                this.renderPrintPage();
+                break;
+            case 'selection':
+                this.renderSelectionPage();
+                break;
+            case 'compare':
+                this.renderComparePage();
+                break;
+        }
+
+        this.updateFilterButtons();
+    }
+
+    // Wines available in the current serving mode (all wines, or only those poured by the glass)
+    getServedWines() {
+        if (!this.byTheGlassOnly) return this.wines;
+        return this.wines.filter(wine => this.isPouredByTheGlass(wine));
+    }
+
     exploreWine(button) {
         const wineCard = button.closest('.wine-card');
         const tableRow = button.closest('tr');
@@ -1049,13 +3153,9 @@ class WineListApp {
         // Find the wine in our data
         const wine = this.wines.find(w => w.wine_name === wineName);
         if (wine) {
-            let url = `wine-details.html?id=${wine.wine_number}`;
-            if (this.currentFilters.type) {
-                url += `&type=${encodeURIComponent(this.currentFilters.type)}`;
-            }
-            window.location.href = url;
+            this.navigate(this.getWineDetailsUrl(wine));
         } else {
-            this.showError('Wine details not available');
+            this.showError(this.t('error.wineDetailsUnavailable'));
         }
     }
 
@@ -1070,300 +3170,510 @@ class WineListApp {
             regionName = tableRow.querySelector('.table-region-name').textContent;
         }
 
-        // Navigate to wines page with region filter
-        const urlParams = new URLSearchParams(window.location.search);
-        const wineType = urlParams.get('type');
-        
-        // Build URL with proper parameters
-        let url = `wines.html?region=${encodeURIComponent(regionName)}`;
-        if (wineType) {
-            url += `&type=${encodeURIComponent(wineType)}`;
-        }
-        
-        window.location.href = url;
+        // Navigate to wines page with region filter
+        const urlParams = this.getPageParams();
+        const wineType = urlParams.get('type');
+        
+        // Build URL with proper parameters
+        let url = `wines.html?region=${encodeURIComponent(regionName)}`;
+        if (wineType) {
+            url += `&type=${encodeURIComponent(wineType)}`;
+        }
+        
+        this.navigate(url);
+    }
+
+    showFilterOptions(button) {
+        this.showFacetPanel(button.getAttribute('data-facet'));
+    }
+
+    // Facets offered in the filter panel; each maps a wine to the values it can be filtered by
+    getFacetDefinitions() {
+        // The price bands (with their formatted labels) are built with the definitions, not once per wine
+        const priceBands = this.getPriceBands();
+        return [
+            {
+                key: 'region',
+                label: this.t('facet.region'),
+                getValues: wine => wine.region ? [this.normalizeRegionName(wine.region)] : []
+            },
+            {
+                key: 'family',
+                label: this.t('facet.family'),
+                getValues: wine => [this.getWineFamily(wine.wine_type)],
+                formatValue: family => this.getWineTypeName(family),
+                order: ['ROSSO', 'BIANCO', 'ROSATO', 'ARANCIONE', 'BOLLICINE', 'NON ALCOLICO']
+            },
+            {
+                key: 'grape',
+                label: this.t('facet.grape'),
+                getValues: wine => this.getWineGrapes(wine)
+            },
+            {
+                key: 'style',
+                label: this.t('facet.style'),
+                getValues: wine => this.getWineStyles(wine),
+                formatValue: style => this.t(`style.${style}`),
+                order: ['light-bodied', 'medium-bodied', 'full-bodied', 'soft-tannin', 'high-tannin', 'high-acidity', 'dry', 'off-dry', 'sweet'],
+                // "Full-bodied" with "high tannin" means wines that are both
+                matchAll: true
+            },
+            {
+                key: 'classification',
+                label: this.t('facet.classification'),
+                getValues: wine => {
+                    const { classification } = this.getVintageInfo(wine);
+                    return classification ? [classification] : [];
+                },
+                order: VintageParser.classifications
+            },
+            {
+                key: 'appellation',
+                label: this.t('facet.appellation'),
+                getValues: wine => {
+                    const { appellation } = this.getVintageInfo(wine);
+                    return appellation ? [appellation] : [];
+                }
+            },
+            {
+                key: 'organic',
+                label: this.t('facet.organic'),
+                getValues: wine => [wine.organic ? 'organic' : 'conventional'],
+                formatValue: value => value === 'organic' ? this.t('details.certifiedOrganic') : this.t('details.conventional'),
+                order: ['organic', 'conventional']
+            },
+            {
+                key: 'price',
+                label: this.t('facet.price'),
+                getValues: wine => {
+                    const band = this.getPriceBand(wine, priceBands);
+                    return band ? [band.id] : [];
+                },
+                formatValue: id => {
+                    const band = priceBands.find(b => b.id === id);
+                    return band ? band.label : id;
+                },
+                order: priceBands.map(band => band.id)
+            }
+        ];
+    }
+
+    getPriceBands() {
+        const bands = [
+            { id: 'under-50', min: 0, max: 50 },
+            { id: '50-75', min: 50, max: 75 },
+            { id: '75-100', min: 75, max: 100 },
+            { id: '100-150', min: 100, max: 150 },
+            { id: '150-plus', min: 150, max: Infinity }
+        ];
+
+        return bands.map(band => {
+            let label = `${this.formatPrice(band.min)} – ${this.formatPrice(band.max)}`;
+            if (band.min === 0) label = this.t('price.under', { price: this.formatPrice(band.max) });
+            if (band.max === Infinity) label = this.t('price.andAbove', { price: this.formatPrice(band.min) });
+            return { ...band, label };
+        });
+    }
+
+    getPriceBand(wine, bands = this.getPriceBands()) {
+        const price = this.getSortPrice(wine);
+        if (price === null || isNaN(price)) return null;
+        return bands.find(band => price >= band.min && price < band.max) || null;
+    }
+
+    createEmptyFacetFilters() {
+        return { region: [], family: [], grape: [], style: [], classification: [], appellation: [], organic: [], price: [] };
+    }
+
+    loadFacetFilters() {
+        const facetFilters = this.createEmptyFacetFilters();
+        try {
+            const saved = JSON.parse(sessionStorage.getItem('gcaFacetFilters') || '{}');
+            Object.keys(facetFilters).forEach(key => {
+                if (Array.isArray(saved[key])) {
+                    facetFilters[key] = saved[key].filter(value => typeof value === 'string');
+                }
+            });
+        } catch (error) {
+            console.warn('Could not restore filters:', error);
+        }
+        return facetFilters;
+    }
+
+    saveFacetFilters() {
+        try {
+            sessionStorage.setItem('gcaFacetFilters', JSON.stringify(this.facetFilters));
+        } catch (error) {
+            console.warn('Could not save filters:', error);
+        }
+    }
+
+    getActiveFacetCount() {
+        return Object.values(this.facetFilters).reduce((total, values) => total + values.length, 0);
+    }
+
+    // Check a wine against the given facet definitions
+    wineMatchesFacets(wine, facets) {
+        return facets.every(facet => {
+            const selected = this.facetFilters[facet.key];
+            if (selected.length === 0) return true;
+            const values = facet.getValues(wine);
+            return facet.matchAll
+                ? selected.every(value => values.includes(value))
+                : selected.some(value => values.includes(value));
+        });
+    }
+
+    // The definitions (with their translated labels) are built once per call, not once per wine
+    applyFacets(wines, excludeFacet = null, facets = this.getFacetDefinitions()) {
+        const active = facets.filter(facet => facet.key !== excludeFacet && this.facetFilters[facet.key].length > 0);
+        return wines.filter(wine => this.wineMatchesFacets(wine, active));
+    }
+
+    // Wines the current page covers before facets are applied
+    getPageScopeWines() {
+        const page = this.getCurrentPage();
+        const normalizedFilterRegion = this.normalizeRegionName(this.currentFilters.region);
+
+        return this.getServedWines().filter(wine => {
+            const matchesType = !this.currentFilters.type || this.wineMatchesFamily(wine, this.currentFilters.type);
+            const matchesRegion = page !== 'wines' || !this.currentFilters.region ||
+                this.normalizeRegionName(wine.region) === normalizedFilterRegion;
+            // The regions page searches region names rather than wines
+            const matchesSearch = page === 'regions' || this.wineMatchesSearch(wine);
+
+            return matchesType && matchesRegion && matchesSearch;
+        });
     }
 
-    showFilterOptions(button) {
-        const filterType = button.textContent.includes('Region') ? 'Region' : 'Varietal';
-        
-        if (filterType === 'Region') {
-            this.showRegionFilter();
-        } else if (filterType === 'Varietal') {
-            this.showVarietalFilter();
+    getFacetOptions(facet, wines) {
+        const values = new Set(this.facetFilters[facet.key]);
+        wines.forEach(wine => facet.getValues(wine).forEach(value => values.add(value)));
+
+        if (facet.order) {
+            return facet.order.filter(value => values.has(value));
         }
+        return [...values].sort();
     }
 
-    showRegionFilter() {
-        // Get all unique regions
-        const regions = [...new Set(
-            this.wines
-                .filter(wine => wine.region && wine.region.trim() !== '')
-                .map(wine => wine.region)
-        )].sort();
+    showFacetPanel(focusFacet) {
+        this.closeFacetPanel();
 
-        // Create filter dropdown
+        const scopeWines = this.getPageScopeWines();
+        // Facets with nothing to choose from (e.g. Style before any wine has a tasting profile) are left out
+        const facets = this.getFacetDefinitions().filter(facet => this.getFacetOptions(facet, scopeWines).length > 0);
+
+        // Create filter panel
         const filterContainer = document.createElement('div');
-        filterContainer.className = 'filter-dropdown';
+        filterContainer.className = 'filter-dropdown facet-panel';
         filterContainer.innerHTML = `
-            <div class="filter-dropdown-content">
-                <h3>Filter by Region</h3>
-                <div class="filter-options">
-                    <button class="filter-option" data-region="">All Regions</button>
-                    ${regions.map(region => `
-                        <button class="filter-option" data-region="${region}">${region}</button>
-                    `).join('')}
-                </div>
+            <div class="filter-dropdown-content facet-panel-content" role="dialog" aria-modal="true" aria-labelledby="facetPanelTitle" tabindex="-1">
+                <h3 id="facetPanelTitle">${this.t('filter.title')}</h3>
+                ${facets.map(facet => `
+                    <fieldset class="facet-section" data-facet="${facet.key}">
+                        <legend class="facet-title">${facet.label}</legend>
+                        <div class="facet-options">
+                            ${this.getFacetOptions(facet, scopeWines).map(value => `
+                                <label class="facet-option">
+                                    <input type="checkbox" data-facet="${facet.key}" value="${value}" ${this.facetFilters[facet.key].includes(value) ? 'checked' : ''}>
+                                    <span class="facet-option-label">${facet.formatValue ? facet.formatValue(value) : value}</span>
+                                    <span class="facet-count"></span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </fieldset>
+                `).join('')}
                 <div class="filter-actions">
-                    <button class="clear-filters">Clear Filters</button>
-                    <button class="close-filter">Close</button>
+                    <button type="button" class="clear-filters">${this.t('filter.clear')}</button>
+                    <button type="button" class="close-filter">${this.t('filter.close')}</button>
                 </div>
             </div>
         `;
 
         // Add to page
         document.body.appendChild(filterContainer);
+        this.facetPanel = filterContainer;
+        this.updateFacetCounts();
+
+        // Start on the facet the button was for ("Filter by Varietal" opens on the grapes)
+        const section = focusFacet && filterContainer.querySelector(`.facet-section[data-facet="${focusFacet}"]`);
+        if (section && section.scrollIntoView) {
+            section.scrollIntoView({ block: 'start' });
+        }
+        this.facetFocusTrap = new DialogFocusTrap(filterContainer.querySelector('[role="dialog"]'), () => this.closeFacetPanel());
+        this.facetFocusTrap.activate(section ? section.querySelector('input:not([disabled])') : null);
 
         // Add event listeners
-        filterContainer.querySelectorAll('.filter-option').forEach(option => {
-            option.addEventListener('click', (e) => {
-                const region = e.target.getAttribute('data-region');
-                this.applyRegionFilter(region);
-                document.body.removeChild(filterContainer);
-            });
+        filterContainer.addEventListener('change', (e) => {
+            const input = e.target;
+            if (input.matches('input[data-facet]')) {
+                this.toggleFacetValue(input.getAttribute('data-facet'), input.value, input.checked);
+            }
         });
 
         filterContainer.querySelector('.close-filter').addEventListener('click', () => {
-            document.body.removeChild(filterContainer);
+            this.closeFacetPanel();
         });
 
         filterContainer.querySelector('.clear-filters').addEventListener('click', () => {
             this.clearAllFilters();
-            document.body.removeChild(filterContainer);
+            this.closeFacetPanel();
         });
 
         // Close on click outside
         filterContainer.addEventListener('click', (e) => {
             if (e.target === filterContainer) {
-                document.body.removeChild(filterContainer);
+                this.closeFacetPanel();
             }
         });
     }
 
-    showVarietalFilter() {
-        // Get all unique varietals
-        const varietals = [...new Set(
-            this.wines
-                .filter(wine => wine.varietals && wine.varietals.trim() !== '')
-                .map(wine => wine.varietals)
-        )].sort();
+    closeFacetPanel() {
+        if (this.facetPanel && this.facetPanel.parentNode) {
+            this.facetPanel.parentNode.removeChild(this.facetPanel);
+        }
+        this.facetPanel = null;
 
-        // Create filter dropdown
-        const filterContainer = document.createElement('div');
-        filterContainer.className = 'filter-dropdown';
-        filterContainer.innerHTML = `
-            <div class="filter-dropdown-content">
-                <h3>Filter by Varietal</h3>
-                <div class="filter-options">
-                    <button class="filter-option" data-varietal="">All Varietals</button>
-                    ${varietals.map(varietal => `
-                        <button class="filter-option" data-varietal="${varietal}">${varietal}</button>
-                    `).join('')}
-                </div>
-                <div class="filter-actions">
-                    <button class="clear-filters">Clear Filters</button>
-                    <button class="close-filter">Close</button>
-                </div>
-            </div>
-        `;
+        if (this.facetFocusTrap) {
+            this.facetFocusTrap.release();
+            this.facetFocusTrap = null;
+        }
+    }
 
-        // Add to page
-        document.body.appendChild(filterContainer);
+    toggleFacetValue(key, value, selected) {
+        const values = this.facetFilters[key].filter(v => v !== value);
+        if (selected) values.push(value);
+        this.facetFilters[key] = values;
+        this.saveFacetFilters();
 
-        // Add event listeners
-        filterContainer.querySelectorAll('.filter-option').forEach(option => {
-            option.addEventListener('click', (e) => {
-                const varietal = e.target.getAttribute('data-varietal');
-                this.applyVarietalFilter(varietal);
-                document.body.removeChild(filterContainer);
-            });
-        });
+        this.refreshCurrentPage();
+        this.updateFacetCounts();
+        this.announceResults();
+    }
 
-        filterContainer.querySelector('.close-filter').addEventListener('click', () => {
-            document.body.removeChild(filterContainer);
-        });
+    // Each option counts the wines it would show given the other active facets
+    updateFacetCounts() {
+        if (!this.facetPanel) return;
+
+        const scopeWines = this.getPageScopeWines();
+        const facets = this.getFacetDefinitions();
+        facets.forEach(facet => {
+            const counts = {};
+            // Options of a match-all facet narrow the current results rather than add to them
+            this.applyFacets(scopeWines, facet.matchAll ? null : facet.key, facets).forEach(wine => {
+                facet.getValues(wine).forEach(value => {
+                    counts[value] = (counts[value] || 0) + 1;
+                });
+            });
 
-        filterContainer.querySelector('.clear-filters').addEventListener('click', () => {
-            this.clearAllFilters();
-            document.body.removeChild(filterContainer);
+            this.facetPanel.querySelectorAll(`input[data-facet="${facet.key}"]`).forEach(input => {
+                const count = counts[input.value] || 0;
+                const option = input.closest('.facet-option');
+                option.querySelector('.facet-count').textContent = count;
+                option.classList.toggle('empty', count === 0);
+                input.disabled = count === 0 && !input.checked;
+            });
         });
+    }
 
-        // Close on click outside
-        filterContainer.addEventListener('click', (e) => {
-            if (e.target === filterContainer) {
-                document.body.removeChild(filterContainer);
+    updateFilterButtons() {
+        const activeCount = this.getActiveFacetCount();
+        document.querySelectorAll('.luxury-filter-btn, .filter-button').forEach(button => {
+            let badge = button.querySelector('.filter-active-count');
+            if (activeCount === 0) {
+                if (badge) badge.remove();
+                return;
+            }
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'filter-active-count';
+                button.appendChild(badge);
             }
+            badge.textContent = activeCount;
         });
     }
 
-    applyRegionFilter(region) {
-        // Filter wine cards by region
+    updateWineCounts() {
+        // Count the wines matching the current search and filters for each family card
+        const hasActiveFilters = Boolean(this.currentFilters.search) || this.getActiveFacetCount() > 0;
         const wineCards = document.querySelectorAll('.luxury-wine-card');
         
         wineCards.forEach(card => {
             const link = card.getAttribute('href');
             const type = new URLSearchParams(link.split('?')[1]).get('type');
             
-            if (!region) {
-                // Show all cards
-                card.style.display = 'block';
-                this.updateWineCounts();
-            } else {
-                // Count wines for this type and region
-                const count = this.wines.filter(wine => 
-                    this.wineMatchesFamily(wine, type) && wine.region === region
-                ).length;
-                
-                if (count > 0) {
-                    card.style.display = 'block';
-                    // Update the count for this card
-                    const countElement = card.querySelector('.wine-count');
-                    if (countElement) {
-                        countElement.textContent = `${count} wines`;
-                    }
-                } else {
-                    card.style.display = 'none';
+            if (type) {
+                const count = this.filteredWines.filter(wine => this.wineMatchesFamily(wine, type)).length;
+                const countElement = card.querySelector('.wine-count');
+                if (countElement) {
+                    countElement.textContent = this.t('wines.count', { count });
                 }
+                card.style.display = count > 0 || !hasActiveFilters ? 'block' : 'none';
             }
         });
+    }
 
-        // Update search functionality to work with filtered results
-        this.currentFilters.region = region;
+    applyIndexSearch() {
+        this.filteredWines = this.applyFacets(this.getPageScopeWines());
+        this.updateWineCounts();
+        this.renderSearchResultsDropdown();
     }
 
-    applyVarietalFilter(varietal) {
-        // Filter wine cards by varietal
-        const wineCards = document.querySelectorAll('.luxury-wine-card');
-        
-        wineCards.forEach(card => {
-            const link = card.getAttribute('href');
-            const type = new URLSearchParams(link.split('?')[1]).get('type');
-            
-            if (!varietal) {
-                // Show all cards
-                card.style.display = 'block';
-                this.updateWineCounts();
-            } else {
-                // Count wines for this type and varietal
-                const count = this.wines.filter(wine => 
-                    this.wineMatchesFamily(wine, type) && 
-                    wine.varietals && wine.varietals.toLowerCase().includes(varietal.toLowerCase())
-                ).length;
-                
-                if (count > 0) {
-                    card.style.display = 'block';
-                    // Update the count for this card
-                    const countElement = card.querySelector('.wine-count');
-                    if (countElement) {
-                        countElement.textContent = `${count} wines`;
+    setupSearchResultsDropdown() {
+        const searchInput = document.getElementById('indexSearchInput');
+        const resultsContainer = document.getElementById('searchResults');
+        if (!searchInput || !resultsContainer) return;
+
+        searchInput.addEventListener('keydown', (e) => {
+            const options = [...resultsContainer.querySelectorAll('.search-result')];
+
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    if (!options.length) return;
+                    e.preventDefault();
+                    this.openSearchResults();
+                    this.moveSearchResultSelection(e.key === 'ArrowDown' ? 1 : -1);
+                    break;
+                case 'Enter': {
+                    // Open the highlighted wine, or the best match if none is highlighted
+                    const option = options[this.activeSearchResult] || options[0];
+                    if (option && resultsContainer.classList.contains('open')) {
+                        e.preventDefault();
+                        this.navigate(option.getAttribute('href'));
                     }
-                } else {
-                    card.style.display = 'none';
+                    break;
                 }
+                case 'Escape':
+                    this.closeSearchResults();
+                    break;
             }
         });
 
-        // Update search functionality to work with filtered results
-        this.currentFilters.varietal = varietal;
-    }
-
-    updateWineCounts() {
-        // Reset wine counts to original values
-        const wineTypes = ['ROSSO', 'BIANCO', 'ROSATO', 'BOLLICINE', 'NON ALCOLICO'];
-        const wineCards = document.querySelectorAll('.luxury-wine-card');
-        
-        wineCards.forEach((card, index) => {
-            if (wineTypes[index]) {
-                const count = this.wines.filter(wine => this.wineMatchesFamily(wine, wineTypes[index])).length;
-                const countElement = card.querySelector('.wine-count');
-                if (countElement) {
-                    countElement.textContent = `${count} wines`;
-                }
+        searchInput.addEventListener('focus', () => {
+            if (this.currentFilters.search) {
+                this.openSearchResults();
             }
         });
+
     }
 
-    applyIndexSearch() {
-        const wineCards = document.querySelectorAll('.luxury-wine-card');
-        
-        wineCards.forEach(card => {
-            const link = card.getAttribute('href');
-            const type = new URLSearchParams(link.split('?')[1]).get('type');
-            
-            if (!this.currentFilters.search) {
-                // Show all cards if no search term
-                card.style.display = 'block';
-                this.updateWineCounts();
-            } else {
-                // Filter wines based on search term
-                const matchingWines = this.wines.filter(wine => 
-                    this.wineMatchesFamily(wine, type) &&
-                    (wine.wine_name.toLowerCase().includes(this.currentFilters.search) ||
-                     wine.region.toLowerCase().includes(this.currentFilters.search) ||
-                     (wine.varietals && wine.varietals.toLowerCase().includes(this.currentFilters.search)))
-                );
-                
-                if (matchingWines.length > 0) {
-                    card.style.display = 'block';
-                    // Update the count for this card
-                    const countElement = card.querySelector('.wine-count');
-                    if (countElement) {
-                        countElement.textContent = `${matchingWines.length} wines`;
-                    }
-                } else {
-                    card.style.display = 'none';
-                }
+    renderSearchResultsDropdown() {
+        const resultsContainer = document.getElementById('searchResults');
+        if (!resultsContainer) return;
+
+        this.activeSearchResult = -1;
+
+        if (!this.currentFilters.search) {
+            resultsContainer.innerHTML = '';
+            this.closeSearchResults();
+            return;
+        }
+
+        // Group the ranked matches by wine family
+        const families = ['ROSSO', 'BIANCO', 'ROSATO', 'ARANCIONE', 'BOLLICINE', 'NON ALCOLICO'];
+        const rankedWines = this.sortWines(this.filteredWines);
+        const groups = families
+            .map(family => ({
+                family,
+                wines: rankedWines.filter(wine => this.wineMatchesFamily(wine, family))
+            }))
+            .filter(group => group.wines.length > 0);
+
+        if (groups.length === 0) {
+            resultsContainer.innerHTML = `<div class="search-results-empty">${this.t('search.noResults', { query: WineSearchIndex.escapeHTML(this.currentFilters.search) })}</div>`;
+        } else {
+            let optionIndex = 0;
+            resultsContainer.innerHTML = groups.map(group => `
+                <div class="search-result-group" role="group" aria-label="${this.getWineTypeName(group.family)}">
+                    <div class="search-result-group-title">${this.getWineTypeName(group.family)} <span>${group.wines.length}</span></div>
+                    ${group.wines.map(wine => `
+                        <a href="${this.getWineDetailsUrl(wine)}" class="search-result" role="option" id="search-result-${optionIndex++}" aria-selected="false">
+                            <span class="search-result-name">${this.highlightSearchMatch(wine, wine.wine_name)}</span>
+                            <span class="search-result-meta">${this.highlightSearchMatch(wine, wine.wine_producer || '')} · ${this.highlightSearchMatch(wine, wine.region)} · ${this.formatVintageYear(wine)}</span>
+                            <span class="search-result-price">${this.formatPriceFormats(wine)}</span>
+                        </a>
+                    `).join('')}
+                </div>
+            `).join('');
+        }
+
+        this.openSearchResults();
+    }
+
+    moveSearchResultSelection(step) {
+        const searchInput = document.getElementById('indexSearchInput');
+        const options = [...document.querySelectorAll('#searchResults .search-result')];
+        if (!options.length) return;
+
+        // Wrap around at either end of the list
+        this.activeSearchResult = (this.activeSearchResult + step + options.length) % options.length;
+
+        options.forEach((option, index) => {
+            const isActive = index === this.activeSearchResult;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive && option.scrollIntoView) {
+                option.scrollIntoView({ block: 'nearest' });
             }
         });
+
+        if (searchInput) {
+            searchInput.setAttribute('aria-activedescendant', options[this.activeSearchResult].id);
+        }
     }
 
-    clearAllFilters() {
-        // Reset all filters
-        this.currentFilters = {
-            type: null,
-            region: null,
-            search: ''
-        };
-        
-        // Clear search input
-        const searchInput = document.querySelector('.luxury-search-input');
+    openSearchResults() {
+        const searchInput = document.getElementById('indexSearchInput');
+        const resultsContainer = document.getElementById('searchResults');
+        if (!resultsContainer || !this.currentFilters.search) return;
+
+        resultsContainer.classList.add('open');
+        if (searchInput) searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    closeSearchResults() {
+        const searchInput = document.getElementById('indexSearchInput');
+        const resultsContainer = document.getElementById('searchResults');
+        if (!resultsContainer) return;
+
+        resultsContainer.classList.remove('open');
         if (searchInput) {
-            searchInput.value = '';
+            searchInput.setAttribute('aria-expanded', 'false');
+            searchInput.removeAttribute('aria-activedescendant');
         }
+    }
+
+    clearAllFilters() {
+        // Reset search and facet filters, keeping the page's own region and type
+        this.setSearchQuery('');
+        this.facetFilters = this.createEmptyFacetFilters();
+        this.saveFacetFilters();
         
-        // Show all wine cards and reset counts
-        const wineCards = document.querySelectorAll('.luxury-wine-card');
-        wineCards.forEach(card => {
-            card.style.display = 'block';
+        // Clear search inputs
+        document.querySelectorAll('.luxury-search-input').forEach(searchInput => {
+            searchInput.value = '';
         });
         
-        this.updateWineCounts();
+        this.refreshCurrentPage();
+        this.announceResults();
     }
 
     setupHoverEffects() {
-        // Add hover effects to wine cards
-        document.addEventListener('mouseover', (e) => {
+        // Add hover effects to wine cards; keyboard focus lifts them the same way
+        ['mouseover', 'focusin'].forEach(type => document.addEventListener(type, (e) => {
             const wineCard = e.target.closest('.wine-card, .region-card, .luxury-wine-card');
             if (wineCard) {
                 wineCard.style.transform = 'translateY(-5px)';
             }
-        });
+        }));
 
-        document.addEventListener('mouseout', (e) => {
+        ['mouseout', 'focusout'].forEach(type => document.addEventListener(type, (e) => {
             const wineCard = e.target.closest('.wine-card, .region-card, .luxury-wine-card');
             if (wineCard) {
                 wineCard.style.transform = 'translateY(0)';
             }
-        });
+        }));
     }
 
     showError(message) {
@@ -1374,15 +3684,183 @@ class WineListApp {
 
     // Utility functions
     getWineTypeName(type) {
-        const typeNames = {
-            'ROSSO': 'Red Wines',
-            'BIANCO': 'White Wines',
-            'ROSATO': 'Rosé Wines',
-            'ARANCIONE': 'Orange Wines',
-            'BOLLICINE': 'Sparkling Wines',
-            'NON ALCOLICO': 'Non-Alcoholic Wines'
+        const key = `family.${type}`;
+        return this.t(this.i18n.has(key) ? key : 'family.default');
+    }
+
+    // Short family name used on badges ("Red", "Rosso")
+    getWineFamilyLabel(family) {
+        const key = `familyShort.${family}`;
+        return this.t(this.i18n.has(key) ? key : 'familyShort.default');
+    }
+
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+
+    setLanguage(language) {
+        this.i18n.setLanguage(language);
+        this.i18n.translatePage();
+        this.updateLanguageSwitcher();
+        this.updateSelectionLink();
+        this.updateCompareTray();
+        this.updateConnectionStatus();
+        this.renderPreviewBanner();
+        this.renderPriceNote();
+
+        // Search options and prices are rebuilt in the new language
+        this.closeFacetPanel();
+        this.refreshCurrentPage();
+    }
+
+    setupLanguageSwitcher() {
+        const header = document.querySelector('.luxury-header');
+        if (!header || header.querySelector('.language-switcher')) return;
+
+        const switcher = document.createElement('div');
+        switcher.className = 'language-switcher';
+        switcher.setAttribute('role', 'group');
+        switcher.innerHTML = I18n.languages.map(language => `
+            <button type="button" class="language-btn" data-language="${language}">${language.toUpperCase()}</button>
+        `).join('');
+        header.appendChild(switcher);
+
+        switcher.addEventListener('click', (e) => {
+            const button = e.target.closest('.language-btn');
+            if (button) {
+                this.setLanguage(button.getAttribute('data-language'));
+            }
+        });
+
+        this.updateLanguageSwitcher();
+    }
+
+    updateLanguageSwitcher() {
+        const switcher = document.querySelector('.language-switcher');
+        if (!switcher) return;
+
+        switcher.setAttribute('aria-label', this.t('language.label'));
+        switcher.querySelectorAll('.language-btn').forEach(button => {
+            const isActive = button.getAttribute('data-language') === this.i18n.language;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+    }
+
+    // Every serving format a wine is offered in (glass, split, bottle), parsed once at load
+    getPriceFormats(wine) {
+        if (!this.priceFormats.has(wine)) {
+            this.priceFormats.set(wine, this.parsePriceFormats(wine));
+        }
+        return this.priceFormats.get(wine);
+    }
+
+    parsePriceFormats(wine) {
+        // Half bottles listed as "39 (375ML)" and "glass/bottle" pairs are already moved by WineSchema
+        const glassPrice = PriceFormatter.toNumber(wine.wine_price_glass);
+        const splitPrice = PriceFormatter.toNumber(wine.wine_price_split);
+        const formats = [];
+
+        if (glassPrice !== null) {
+            formats.push({ format: 'glass', price: glassPrice });
+        }
+        if (splitPrice !== null) {
+            formats.push({ format: 'split', price: splitPrice });
+        }
+
+        // wine_price is the bottle price unless it only repeats the glass or split price
+        let bottlePrice = PriceFormatter.toNumber(wine.wine_price_bottle);
+        const listPrice = PriceFormatter.toNumber(wine.wine_price);
+        if (bottlePrice === null && listPrice !== null && listPrice !== glassPrice && listPrice !== splitPrice) {
+            bottlePrice = listPrice;
+        }
+        if (bottlePrice !== null) {
+            formats.push({ format: 'bottle', price: bottlePrice });
+        }
+
+        return formats;
+    }
+
+    isSoldOut(wine) {
+        return [wine.wine_price, wine.wine_price_bottle, wine.wine_price_glass]
+            .some(value => typeof value === 'string' && value.trim().toUpperCase() === 'SOLD OUT');
+    }
+
+    isPouredByTheGlass(wine) {
+        return this.getPriceFormats(wine).some(format => format.format === 'glass');
+    }
+
+    formatPrice(price) {
+        return this.priceFormatter.format(price);
+    }
+
+    // Optional "cover/service included" note from data/settings.json
+    renderPriceNote() {
+        const note = this.priceFormatter.getNote(this.i18n.language);
+        document.querySelectorAll('.price-note').forEach(element => {
+            element.textContent = note || '';
+            element.style.display = note ? '' : 'none';
+        });
+    }
+
+    formatPriceFormats(wine) {
+        const formats = this.getPriceFormats(wine);
+        if (formats.length === 0) return this.isSoldOut(wine) ? this.t('price.soldOut') : this.t('common.na');
+
+        return formats.map(format => `
+            <span class="price-format price-format-${format.format}">
+                <span class="price-format-label">${this.t(`price.${format.format}`)}</span>
+                <span class="price-format-value">${this.formatPrice(format.price)}</span>
+            </span>
+        `).join('');
+    }
+
+    // Helper function to split the varietals text into individual grape names
+    getWineGrapes(wine) {
+        if (!wine.varietals) return [];
+
+        const grapeAliases = {
+            'CAB FRANC': 'CABERNET FRANC',
+            'AGLIANIC': 'AGLIANICO',
+            'PINOT NOIR': 'PINOT NERO',
+            'MULLER THURGAU': 'MÜLLER THURGAU'
         };
-        return typeNames[type] || 'Wines';
+
+        const grapes = wine.varietals
+            .split(/[,/&]/)
+            .map(part => part
+                .replace(/\d+(\.\d+)?%/g, '')
+                .replace(/\(.*?\)/g, '')
+                .replace(/\s+/g, ' ')
+                .trim()
+                .toUpperCase())
+            .filter(grape => grape && !grape.startsWith('OTHER'))
+            .map(grape => grapeAliases[grape] || grape);
+
+        return [...new Set(grapes)];
+    }
+
+    // Style words a tasting profile implies, for the Style filter
+    getWineStyles(wine) {
+        const profile = wine.tasting_profile;
+        if (!profile) return [];
+
+        const styles = [];
+        if (profile.body) {
+            styles.push(profile.body <= 2 ? 'light-bodied' : profile.body === 3 ? 'medium-bodied' : 'full-bodied');
+        }
+        if (profile.tannin >= 4) {
+            styles.push('high-tannin');
+        } else if (profile.tannin && profile.tannin <= 2) {
+            styles.push('soft-tannin');
+        }
+        if (profile.acidity >= 4) {
+            styles.push('high-acidity');
+        }
+        if (profile.sweetness) {
+            styles.push(profile.sweetness === 1 ? 'dry' : profile.sweetness <= 3 ? 'off-dry' : 'sweet');
+        }
+        return styles;
     }
 
     // Helper function to determine wine family from wine_type
@@ -1551,7 +4029,7 @@ class WineListApp {
         const winesWithValidRegions = this.wines.filter(wine => wine.region && wine.region.trim() !== '').length;
         const winesWithValidNames = this.wines.filter(wine => wine.wine_name && wine.wine_name.trim() !== '').length;
         const winesWithValidProducers = this.wines.filter(wine => wine.wine_producer && wine.wine_producer.trim() !== '').length;
-        const winesWithValidPrices = this.wines.filter(wine => wine.wine_price && wine.wine_price !== '0').length;
+        const winesWithValidPrices = this.wines.filter(wine => this.getPriceFormats(wine).length > 0).length;
         
         console.log(`📊 Data Integrity Check:`);
         console.log(`  - Total wines: ${totalWines}`);
@@ -1578,15 +4056,15 @@ class WineListApp {
         });
         
         // Check 4: Price range
-        const prices = this.wines.map(wine => parseInt(wine.wine_price)).filter(price => !isNaN(price));
+        const prices = this.wines.map(wine => this.getSortPrice(wine)).filter(price => price !== null);
         if (prices.length > 0) {
             const minPrice = Math.min(...prices);
             const maxPrice = Math.max(...prices);
             const avgPrice = Math.round(prices.reduce((a, b) => a + b, 0) / prices.length);
             console.log(`💰 Price Range Check:`);
-            console.log(`  - Min price: $${minPrice}`);
-            console.log(`  - Max price: $${maxPrice}`);
-            console.log(`  - Average price: $${avgPrice}`);
+            console.log(`  - Min price: ${this.formatPrice(minPrice)}`);
+            console.log(`  - Max price: ${this.formatPrice(maxPrice)}`);
+            console.log(`  - Average price: ${this.formatPrice(avgPrice)}`);
         }
         
         // Check 5: Potential issues
@@ -1594,7 +4072,7 @@ class WineListApp {
         
         // Check for wines with missing critical data
         const winesWithMissingData = this.wines.filter(wine => 
-            !wine.wine_name || !wine.region || !wine.wine_producer || !wine.wine_price
+            !wine.wine_name || !wine.region || !wine.wine_producer || (this.getPriceFormats(wine).length === 0 && !this.isSoldOut(wine))
         );
         if (winesWithMissingData.length > 0) {
             issues.push(`${winesWithMissingData.length} wines with missing critical data`);
@@ -1668,13 +4146,6 @@ class WineListApp {
         
         const wineFamily = this.getWineFamily(wineType);
         
-        const typeNames = {
-            'ROSSO': 'Red',
-            'BIANCO': 'White',
-            'ROSATO': 'Rosé',
-            'BOLLICINE': 'Sparkling'
-        };
-
         const familyClass = {
             'ROSSO': 'wine-family-rosso',
             'BIANCO': 'wine-family-bianco',
@@ -1684,7 +4155,7 @@ class WineListApp {
             'NON ALCOLICO': 'wine-family-nonalco'
         };
 
-        indicator.textContent = typeNames[wineFamily] || 'Wine';
+        indicator.textContent = this.getWineFamilyLabel(wineFamily);
         indicator.classList.add(familyClass[wineFamily] || 'wine-family-rosso');
         
         // Make sure element has relative positioning
@@ -1709,15 +4180,8 @@ class WineListApp {
         badge.className = 'wine-type-badge';
         
         const wineFamily = this.getWineFamily(wineType);
-        
-        const typeNames = {
-            'ROSSO': 'Red Wines',
-            'BIANCO': 'White Wines',
-            'ROSATO': 'Rosé Wines',
-            'BOLLICINE': 'Sparkling Wines'
-        };
 
-        badge.textContent = typeNames[wineFamily] || 'Wines';
+        badge.textContent = this.getWineTypeName(wineFamily);
         
         // Add to subtitle
         const subtitle = container.querySelector('.luxury-subtitle');
@@ -1770,18 +4234,32 @@ class WineListApp {
         return iconMap[region] || 'fas fa-map-marker-alt';
     }
 
-    extractYear(vintage) {
-        if (!vintage) return 'N/A';
-        const yearMatch = vintage.match(/\b(19|20)\d{2}\b/);
-        return yearMatch ? yearMatch[0] : 'N/A';
+    // Appellation, classification and year parsed from wine_vintage (cached per wine)
+    getVintageInfo(wine) {
+        if (!this.vintageInfoCache) {
+            this.vintageInfoCache = new WeakMap();
+        }
+        if (!this.vintageInfoCache.has(wine)) {
+            this.vintageInfoCache.set(wine, VintageParser.parse(wine.wine_vintage, {
+                fallbackAppellation: wine.category,
+                assumeNonVintage: this.getWineFamily(wine.wine_type) === 'BOLLICINE'
+            }));
+        }
+        return this.vintageInfoCache.get(wine);
+    }
+
+    formatVintageYear(wine) {
+        const { year, isNonVintage } = this.getVintageInfo(wine);
+        if (year) return String(year);
+        return isNonVintage ? this.t('vintage.nonVintage') : this.t('common.na');
     }
 }
 
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    // Add page load animation
+    // Add page load animation; a pre-rendered page is shown straight away and kept (see hydratePage) once the list has loaded
     const luxuryContainer = document.querySelector('.luxury-container');
-    if (luxuryContainer) {
+    if (luxuryContainer && !document.querySelector('meta[name="app-route"]')) {
         luxuryContainer.style.opacity = '0';
         luxuryContainer.style.transition = 'opacity 1s ease';
         
@@ -1823,14 +4301,75 @@ function updateWineIcons() {
 // Update icons after page load
 document.addEventListener('DOMContentLoaded', updateWineIcons);
 
+// Keyboard handling for the filter panel, the sommelier wizard and the share dialog:
+// Tab and Shift+Tab stay inside the open dialog, Escape closes it, and focus goes back to the control that opened it
+class DialogFocusTrap {
+    constructor(dialog, onEscape) {
+        this.dialog = dialog;
+        this.onEscape = onEscape;
+        this.returnFocusTo = document.activeElement;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    static get focusableSelector() {
+        return 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    }
+
+    getFocusableElements() {
+        return [...this.dialog.querySelectorAll(DialogFocusTrap.focusableSelector)]
+            .filter(element => !element.closest('[hidden]'));
+    }
+
+    activate(initialFocus) {
+        document.addEventListener('keydown', this.handleKeydown);
+        (initialFocus || this.getFocusableElements()[0] || this.dialog).focus();
+    }
+
+    release(restoreFocus = true) {
+        document.removeEventListener('keydown', this.handleKeydown);
+        if (restoreFocus && this.returnFocusTo && this.returnFocusTo.isConnected) {
+            this.returnFocusTo.focus();
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.onEscape();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusableElements();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (!first) {
+            e.preventDefault();
+        } else if (!this.dialog.contains(active) || (e.shiftKey && active === first) || (!e.shiftKey && active === last)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        }
+    }
+}
+
 // Share Wine Functionality
 class ShareWineManager {
     constructor() {
         this.shareModal = document.getElementById('shareModal');
         this.shareBtn = document.getElementById('shareWineBtn');
         this.closeBtn = document.getElementById('closeShareModal');
+        this.shareHeading = document.getElementById('shareModalTitle');
         this.shareUrl = document.getElementById('shareUrl');
         this.copyBtn = document.getElementById('copyUrlBtn');
+        this.shareStatus = document.getElementById('shareStatus');
+        this.cardImage = document.getElementById('shareCardImage');
+        this.nativeBtn = document.getElementById('shareNativeBtn');
+        this.downloadLink = document.getElementById('shareDownloadLink');
+        this.content = {};
+        this.cardPromise = null;
+        this.i18n = new I18n();
         
         this.init();
     }
@@ -1856,6 +4395,12 @@ class ShareWineManager {
             this.copyBtn.addEventListener('click', () => this.copyUrl());
         }
         
+        // The device's own share sheet, where there is one
+        if (this.nativeBtn) {
+            this.nativeBtn.hidden = !navigator.share;
+            this.nativeBtn.addEventListener('click', () => this.shareNative());
+        }
+        
         // Social sharing options
         this.setupSocialSharing();
         
@@ -1863,10 +4408,46 @@ class ShareWineManager {
         this.setCurrentUrl();
     }
     
+    // Read the language at share time, it may have changed since the page loaded
+    t(key, params) {
+        this.i18n.language = this.i18n.loadLanguage();
+        return this.i18n.t(key, params);
+    }
+    
+    /**
+     * What the dialog shares; the app sets it for the wine shown or for a list of wines.
+     * content.title / content.url - default to the page's title and address
+     * content.text - message sent with the link, built from the wines' own data
+     * content.heading - dialog heading in place of "Share this Wine"
+     * content.card - card drawn by WineShareCard, with content.cardAlt and the download's content.fileName
+     * content.copied - message after copying the link in place of "Link copied"
+     */
+    setContent(content) {
+        this.content = content || {};
+        this.releaseCard();
+        if (this.shareHeading) {
+            this.shareHeading.textContent = this.content.heading || this.t('share.title');
+        }
+        this.setCurrentUrl();
+    }
+    
+    getContent() {
+        return {
+            title: document.title,
+            text: '',
+            url: window.location.href,
+            ...this.content
+        };
+    }
+    
     openShareModal() {
         if (this.shareModal) {
+            this.setCurrentUrl();
+            this.renderCard();
             this.shareModal.classList.add('active');
             document.body.style.overflow = 'hidden';
+            this.focusTrap = new DialogFocusTrap(this.shareModal.querySelector('[role="dialog"]'), () => this.closeShareModal());
+            this.focusTrap.activate(this.closeBtn);
         }
     }
     
@@ -1875,11 +4456,88 @@ class ShareWineManager {
             this.shareModal.classList.remove('active');
             document.body.style.overflow = '';
         }
+        if (this.focusTrap) {
+            this.focusTrap.release();
+            this.focusTrap = null;
+        }
+    }
+    
+    // The card is drawn the first time the dialog opens for its content; resolves to { file, url } or null
+    renderCard() {
+        const content = this.getContent();
+        if (!content.card || typeof WineShareCard === 'undefined') return Promise.resolve(null);
+        
+        if (!this.cardPromise) {
+            const promise = WineShareCard.create(content.card)
+                .then(result => result && {
+                    url: URL.createObjectURL(result.blob),
+                    file: typeof File === 'function' ? new File([result.blob], content.fileName, { type: 'image/png' }) : null
+                })
+                .catch(error => {
+                    console.warn('Could not draw the share card:', error);
+                    return null;
+                })
+                .then(card => {
+                    // Still the card for what the dialog shares
+                    if (promise === this.cardPromise) this.showCard(card, content);
+                    return card;
+                });
+            this.cardPromise = promise;
+        }
+        return this.cardPromise;
+    }
+    
+    showCard(card, content) {
+        if (this.cardImage) {
+            this.cardImage.hidden = !card;
+            if (card) {
+                this.cardImage.src = card.url;
+                this.cardImage.alt = content.cardAlt || '';
+            }
+        }
+        if (this.downloadLink) {
+            this.downloadLink.hidden = !card;
+            if (card) {
+                this.downloadLink.href = card.url;
+                this.downloadLink.download = content.fileName;
+            }
+        }
+    }
+    
+    releaseCard() {
+        if (this.cardPromise) {
+            this.cardPromise.then(card => card && URL.revokeObjectURL(card.url));
+            this.cardPromise = null;
+        }
+        this.showCard(null, {});
+    }
+    
+    canShareFile(card) {
+        return Boolean(card && card.file && navigator.canShare && navigator.canShare({ files: [card.file] }));
+    }
+    
+    // The share sheet gets the text, the link and the card where the device can share images
+    async shareNative() {
+        const content = this.getContent();
+        const card = await this.renderCard();
+        const data = { title: content.title, text: content.text, url: content.url };
+        if (this.canShareFile(card)) {
+            data.files = [card.file];
+        }
+        
+        try {
+            await navigator.share(data);
+        } catch (error) {
+            // Cancelled by the guest
+            if (error.name !== 'AbortError') {
+                this.showStatus(this.t('share.failed'));
+            }
+        }
     }
     
     setCurrentUrl() {
         if (this.shareUrl) {
-            this.shareUrl.value = window.location.href;
+            this.shareUrl.value = this.getContent().url;
         }
     }
     
@@ -1899,8 +4557,9 @@ class ShareWineManager {
     
     showCopySuccess() {
         const originalText = this.copyBtn.innerHTML;
-        this.copyBtn.innerHTML = '<i class="fas fa-check"></i>';
+        this.copyBtn.innerHTML = '<i class="fas fa-check" aria-hidden="true"></i>';
         this.copyBtn.style.background = 'linear-gradient(135deg, #34A853 0%, #2E7D32 100%)';
+        this.showStatus(this.getContent().copied || this.t('share.copied'));
         
         setTimeout(() => {
             this.copyBtn.innerHTML = originalText;
@@ -1908,6 +4567,16 @@ class ShareWineManager {
         }, 2000);
     }
     
+    showStatus(message, duration = 5000) {
+        if (!this.shareStatus) return;
+        
+        this.shareStatus.textContent = message;
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            this.shareStatus.textContent = '';
+        }, duration);
+    }
+    
     setupSocialSharing() {
         const shareOptions = [
             { id: 'shareFacebook', platform: 'facebook' },
@@ -1927,9 +4596,10 @@ class ShareWineManager {
     }
     
     shareToPlatform(platform) {
-        const url = encodeURIComponent(window.location.href);
-        const title = encodeURIComponent(document.title);
-        const text = encodeURIComponent('Check out this amazing wine from Gran Caffè L\'Aquila!');
+        const content = this.getContent();
+        const url = encodeURIComponent(content.url);
+        const title = encodeURIComponent(content.title);
+        const text = encodeURIComponent(content.text);
         
         let shareUrl = '';
         
@@ -1950,8 +4620,8 @@ class ShareWineManager {
                 shareUrl = `sms:?body=${text}%20${url}`;
                 break;
             case 'instagram':
-                // Instagram doesn't support direct URL sharing, show instructions
-                this.showInstagramInstructions();
+                // Instagram has no share link: the card goes there through the share sheet or as a saved image
+                this.shareToInstagram();
                 return;
         }
         
@@ -1960,20 +4630,21 @@ class ShareWineManager {
         }
     }
     
-    showInstagramInstructions() {
-        const instructions = `
-            To share on Instagram:
-            1. Copy the link below
-            2. Open Instagram
-            3. Create a new story or post
-            4. Paste the link in your caption
-        `;
-        
-        alert(instructions);
+    async shareToInstagram() {
+        const card = await this.renderCard();
+        if (this.canShareFile(card)) {
+            try {
+                await navigator.share({ files: [card.file] });
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    this.showStatus(this.t('share.failed'));
+                }
+            }
+        } else if (card && this.downloadLink) {
+            this.downloadLink.click();
+            this.showStatus(this.t('share.imageSaved'));
+        } else {
+            this.showStatus(this.t('share.instagram'));
+        }
     }
 }
-
-// Initialize Share Wine Manager when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new ShareWineManager();
-});
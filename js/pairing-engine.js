@@ -0,0 +1,157 @@
+// Gran Caffè L'Aquila - Food Pairing Engine
+// Ranks dishes for a wine from the rules in data/pairings.json (family, style, grapes, region, alcohol, aging).
+// Shared by the browser app and scripts/check-pairings.js.
+
+class PairingEngine {
+    /**
+     * data.dishes - { key: { icon, name: { en, it } } }
+     * data.rules - [{ id, when: { ...conditions }, dishes: [keys], weight, reason: { en, it } }]
+     * data.courses - { key: { icon, name: { en, it }, dishes: [keys] } } offered by the sommelier wizard
+     * data.limit - how many pairings to return (default 4)
+     */
+    constructor(data = {}) {
+        this.dishes = data.dishes || {};
+        this.rules = Array.isArray(data.rules) ? data.rules : [];
+        this.courses = data.courses || {};
+        this.limit = Number(data.limit) || 4;
+    }
+
+    // Every condition a rule can use; all the conditions given in "when" must hold.
+    // "when" may also be a list of condition sets, any one of which is enough.
+    static get conditions() {
+        return {
+            // Wine family as shown on the list: ROSSO, BIANCO, ROSATO, ARANCIONE, BOLLICINE, NON ALCOLICO
+            family: (values, profile) => values.includes(profile.family),
+            // Words in the wine type, name or list section, e.g. "DOLCE", "METODO CLASSICO", "AMARONE"
+            style: (values, profile) => values.some(value => profile.style.includes(value.toLowerCase())),
+            notStyle: (values, profile) => !values.some(value => profile.style.includes(value.toLowerCase())),
+            // Grape names found in the varietals
+            grapes: (values, profile) => values.some(value => profile.grapes.includes(value.toLowerCase())),
+            // Words in the wine name or appellation, e.g. "barolo", "prosecco"
+            names: (values, profile) => values.some(value => profile.names.includes(value.toLowerCase())),
+            regions: (values, profile) => values.some(value => value.toUpperCase() === profile.region),
+            minAlcohol: (value, profile) => profile.alcohol !== null && profile.alcohol >= value,
+            maxAlcohol: (value, profile) => profile.alcohol !== null && profile.alcohol <= value,
+            // Words in the aging notes, e.g. "oak", "barrique"
+            aging: (values, profile) => values.some(value => profile.aging.includes(value.toLowerCase()))
+        };
+    }
+
+    // Text picked for the language, from a plain string or { en: "...", it: "..." }
+    static localize(text, language) {
+        if (!text || typeof text === 'string') return text || '';
+        return text[language] || text.en || Object.values(text)[0] || '';
+    }
+
+    /**
+     * The wine fields the rules look at, in lower case for matching.
+     * context.family / context.region / context.appellation come from the app when it has them
+     * (WineListApp.getWineFamily, normalizeRegionName, VintageParser); otherwise they are read from the wine.
+     */
+    static describe(wine, context = {}) {
+        const alcohol = parseFloat(String(wine.alcohol || '').replace(',', '.'));
+        return {
+            family: context.family || PairingEngine.guessFamily(wine.wine_type),
+            style: [wine.wine_type, wine.wine_name, wine.category].filter(Boolean).join(' ').toLowerCase(),
+            grapes: String(wine.varietals || '').toLowerCase(),
+            names: [wine.wine_name, context.appellation, wine.wine_vintage].filter(Boolean).join(' ').toLowerCase(),
+            region: String(context.region || wine.region || '').toUpperCase(),
+            alcohol: Number.isFinite(alcohol) ? alcohol : null,
+            aging: String(wine.aging || '').toLowerCase()
+        };
+    }
+
+    // Close to WineListApp.getWineFamily, for Node scripts that run without the app
+    static guessFamily(wineType) {
+        const type = String(wineType || '').toUpperCase();
+        return ['BOLLICINE', 'NON ALCOLICO', 'ROSATO', 'ARANCIONE', 'BIANCO'].find(family => type.includes(family)) || 'ROSSO';
+    }
+
+    static conditionSets(rule) {
+        return Array.isArray(rule.when) ? rule.when : [rule.when || {}];
+    }
+
+    matches(rule, profile) {
+        const conditions = PairingEngine.conditions;
+        return PairingEngine.conditionSets(rule).some(set => Object.entries(set).every(([name, value]) => {
+            if (!conditions[name]) {
+                console.warn(`Unknown pairing condition "${name}" in rule ${rule.id}`);
+                return false;
+            }
+            return conditions[name](value, profile);
+        }));
+    }
+
+    // The best pairings for a wine, as shown on the details page
+    pair(wine, context = {}, language = 'en') {
+        return this.rank(wine, context, language).slice(0, this.limit);
+    }
+
+    /**
+     * Every dish suggested for a wine, best first: [{ key, icon, name, reason, score, rule }].
+     * A dish scores the total weight of the rules that suggest it; its reason comes from the strongest one.
+     */
+    rank(wine, context = {}, language = 'en') {
+        const profile = PairingEngine.describe(wine, context);
+        const scores = new Map();
+
+        this.rules.filter(rule => this.matches(rule, profile)).forEach(rule => {
+            const weight = Number(rule.weight) || 1;
+            (rule.dishes || []).forEach(key => {
+                if (!this.dishes[key]) return;
+
+                const entry = scores.get(key) || { score: 0, rule: null, weight: 0 };
+                entry.score += weight;
+                if (weight > entry.weight) {
+                    entry.rule = rule;
+                    entry.weight = weight;
+                }
+                scores.set(key, entry);
+            });
+        });
+
+        return [...scores]
+            .sort((a, b) => b[1].score - a[1].score)
+            .map(([key, entry]) => ({
+                key,
+                icon: this.dishes[key].icon || 'fas fa-utensils',
+                name: PairingEngine.localize(this.dishes[key].name, language) || key,
+                reason: PairingEngine.localize(entry.rule.reason, language),
+                score: entry.score,
+                rule: entry.rule.id
+            }));
+    }
+
+    // Rules and courses that point at missing dishes or use unknown conditions (for scripts/check-pairings.js)
+    findProblems() {
+        const problems = [];
+        const conditions = PairingEngine.conditions;
+        this.rules.forEach((rule, index) => {
+            const id = rule.id || `#${index}`;
+            if (!Array.isArray(rule.dishes) || rule.dishes.length === 0) {
+                problems.push(`Rule ${id} suggests no dishes`);
+            }
+            (rule.dishes || []).filter(key => !this.dishes[key]).forEach(key => {
+                problems.push(`Rule ${id} suggests "${key}", which is not in "dishes"`);
+            });
+            PairingEngine.conditionSets(rule).forEach(set => {
+                Object.keys(set).filter(name => !conditions[name]).forEach(name => {
+                    problems.push(`Rule ${id} uses the unknown condition "${name}"`);
+                });
+            });
+            if (!rule.reason) {
+                problems.push(`Rule ${id} has no reason`);
+            }
+        });
+        Object.entries(this.courses).forEach(([key, course]) => {
+            (course.dishes || []).filter(dish => !this.dishes[dish]).forEach(dish => {
+                problems.push(`Course ${key} lists "${dish}", which is not in "dishes"`);
+            });
+        });
+        return problems;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PairingEngine;
+}
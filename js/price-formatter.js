@@ -0,0 +1,81 @@
+// Gran Caffè L'Aquila - Price Formatting
+// One place that turns stored prices into numbers and numbers into display text,
+// driven by the "pricing" section of data/settings.json. Shared by the browser app and Node scripts.
+
+class PriceFormatter {
+    /**
+     * options.currency - ISO 4217 code, e.g. "USD" or "EUR"
+     * options.locale - BCP 47 locale used for symbols and separators, e.g. "en-US" or "it-IT"
+     * options.decimals - fraction digits for whole prices; prices with cents always show them
+     * options.note - optional "cover/service included" text, a string or { en: "...", it: "..." }
+     */
+    constructor(options = {}) {
+        const settings = { ...PriceFormatter.defaults, ...options };
+        this.currency = String(settings.currency).toUpperCase();
+        this.locale = settings.locale;
+        this.decimals = Math.max(0, Number(settings.decimals) || 0);
+        this.note = settings.note || null;
+        this.formatters = {};
+    }
+
+    static get defaults() {
+        return {
+            currency: 'USD',
+            locale: 'en-US',
+            decimals: 0,
+            note: null
+        };
+    }
+
+    // A usable amount, or null for empty values, flags, zero and text such as "SOLD OUT"
+    static toNumber(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) && value > 0 ? value : null;
+        }
+        if (typeof value !== 'string' || !/^\s*\d+(\.\d+)?\s*$/.test(value)) return null;
+
+        const amount = Number(value);
+        return amount > 0 ? amount : null;
+    }
+
+    format(value) {
+        const amount = PriceFormatter.toNumber(value);
+        if (amount === null) return '';
+
+        const fractionDigits = Number.isInteger(amount) ? this.decimals : Math.max(this.decimals, 2);
+        return this.getFormatter(fractionDigits).format(amount);
+    }
+
+    getFormatter(fractionDigits) {
+        if (!this.formatters[fractionDigits]) {
+            try {
+                this.formatters[fractionDigits] = new Intl.NumberFormat(this.locale, {
+                    style: 'currency',
+                    currency: this.currency,
+                    minimumFractionDigits: fractionDigits,
+                    maximumFractionDigits: fractionDigits
+                });
+            } catch (error) {
+                // An unknown locale or currency code should not take the prices down with it
+                console.warn(`Invalid price settings (${this.locale}, ${this.currency}), using defaults:`, error);
+                this.formatters[fractionDigits] = new Intl.NumberFormat(PriceFormatter.defaults.locale, {
+                    style: 'currency',
+                    currency: PriceFormatter.defaults.currency,
+                    minimumFractionDigits: fractionDigits,
+                    maximumFractionDigits: fractionDigits
+                });
+            }
+        }
+        return this.formatters[fractionDigits];
+    }
+
+    getNote(language) {
+        if (!this.note) return null;
+        if (typeof this.note === 'string') return this.note;
+        return this.note[language] || this.note.en || null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceFormatter;
+}
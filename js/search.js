@@ -0,0 +1,206 @@
+// Gran Caffè L'Aquila - Wine Search Index
+
+class WineSearchIndex {
+    constructor(wines, options = {}) {
+        this.wines = wines;
+        // Derived text fields (e.g. family names) supplied by the app
+        this.getExtraFields = options.getExtraFields || (() => ({}));
+
+        // token -> [{ wineIndex, weight }]
+        this.vocabulary = new Map();
+        this.buildIndex();
+    }
+
+    // Fields searched and how much a match in each one counts towards the ranking
+    static get fieldWeights() {
+        return {
+            wine_name: 5,
+            wine_producer: 4,
+            varietals: 3,
+            region: 3,
+            wine_vintage: 2,
+            wine_description: 2,
+            wine_type: 2,
+            family: 2,
+            category: 1,
+            aging: 1,
+            soil: 1,
+            organic: 1
+        };
+    }
+
+    // Guest vocabulary mapped to the terms used in the wine list
+    static get synonyms() {
+        return {
+            'red': ['rosso'],
+            'white': ['bianco'],
+            'rose': ['rosato'],
+            'pink': ['rosato'],
+            'orange': ['arancione'],
+            'sparkling': ['bollicine', 'spumante'],
+            'bubbles': ['bollicine'],
+            'prosecco': ['glera'],
+            'sweet': ['dolce'],
+            'dry': ['secco'],
+            'zinfandel': ['primitivo'],
+            'grenache': ['cannonau'],
+            'shiraz': ['syrah'],
+            'noir': ['nero'],
+            'organic': ['biologico']
+        };
+    }
+
+    static normalize(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    static tokenize(text) {
+        return WineSearchIndex.normalize(text)
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 0);
+    }
+
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    buildIndex() {
+        const weights = WineSearchIndex.fieldWeights;
+
+        this.wines.forEach((wine, wineIndex) => {
+            const fields = { ...wine, ...this.getExtraFields(wine) };
+
+            // Keep the best weight per token so a word repeated across fields is not counted twice
+            const tokenWeights = new Map();
+            Object.entries(weights).forEach(([field, weight]) => {
+                WineSearchIndex.tokenize(fields[field]).forEach(token => {
+                    tokenWeights.set(token, Math.max(tokenWeights.get(token) || 0, weight));
+                });
+            });
+
+            tokenWeights.forEach((weight, token) => {
+                if (!this.vocabulary.has(token)) {
+                    this.vocabulary.set(token, []);
+                }
+                this.vocabulary.get(token).push({ wineIndex, weight });
+            });
+        });
+    }
+
+    // Returns matches ranked by relevance: [{ wine, score, matchedTokens }]
+    search(query) {
+        const queryTokens = WineSearchIndex.tokenize(query);
+        if (queryTokens.length === 0) return [];
+
+        const matches = new Map(); // wineIndex -> { score, matchedTokens, matchedTerms }
+
+        queryTokens.forEach((queryToken, termIndex) => {
+            const alternatives = [queryToken, ...(WineSearchIndex.synonyms[queryToken] || [])];
+            const bestScores = new Map(); // wineIndex -> best score for this query token
+
+            this.vocabulary.forEach((postings, token) => {
+                const quality = Math.max(...alternatives.map(alternative => this.matchToken(alternative, token)));
+                if (quality === 0) return;
+
+                postings.forEach(({ wineIndex, weight }) => {
+                    const score = quality * weight;
+                    bestScores.set(wineIndex, Math.max(bestScores.get(wineIndex) || 0, score));
+
+                    if (!matches.has(wineIndex)) {
+                        matches.set(wineIndex, { score: 0, matchedTokens: new Set(), matchedTerms: new Set() });
+                    }
+                    matches.get(wineIndex).matchedTokens.add(token);
+                    matches.get(wineIndex).matchedTerms.add(termIndex);
+                });
+            });
+
+            bestScores.forEach((score, wineIndex) => {
+                matches.get(wineIndex).score += score;
+            });
+        });
+
+        const normalizedQuery = WineSearchIndex.normalize(query).trim();
+
+        return [...matches.entries()]
+            // Every word of the query has to match something
+            .filter(([, match]) => match.matchedTerms.size === queryTokens.length)
+            .map(([wineIndex, match]) => {
+                const wine = this.wines[wineIndex];
+                let score = match.score;
+                // Boost wines whose name contains the whole query
+                if (normalizedQuery.length > 2 && WineSearchIndex.normalize(wine.wine_name).includes(normalizedQuery)) {
+                    score += 5;
+                }
+                return { wine, score, matchedTokens: match.matchedTokens };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // 1 for an exact match, less for prefixes and small typos, 0 for no match
+    matchToken(queryToken, token) {
+        if (token === queryToken) return 1;
+        if (queryToken.length >= 2 && token.startsWith(queryToken)) return 0.8;
+
+        const maxDistance = queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+        if (maxDistance === 0 || Math.abs(token.length - queryToken.length) > maxDistance) return 0;
+
+        const distance = this.editDistance(queryToken, token, maxDistance);
+        if (distance > maxDistance) return 0;
+        return distance === 1 ? 0.6 : 0.4;
+    }
+
+    // Optimal string alignment distance, so swapped letters ("zibbibo") count as one typo
+    editDistance(a, b, maxDistance) {
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows.push([i]);
+        }
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            let rowMinimum = Infinity;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+                rowMinimum = Math.min(rowMinimum, rows[i][j]);
+            }
+            // Stop early once every path is already too expensive
+            if (rowMinimum > maxDistance) return rowMinimum;
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    // Wraps the words of text that matched the search in <mark> tags (output is HTML-escaped)
+    highlight(text, matchedTokens) {
+        if (text === null || text === undefined) return text;
+
+        return String(text)
+            .split(/([\p{L}\p{N}]+)/u)
+            .map((chunk, index) => {
+                const escaped = WineSearchIndex.escapeHTML(chunk);
+                // Odd chunks are the words captured by the split
+                if (index % 2 === 1 && matchedTokens.has(WineSearchIndex.normalize(chunk))) {
+                    return `<mark class="search-highlight">${escaped}</mark>`;
+                }
+                return escaped;
+            })
+            .join('');
+    }
+}
@@ -0,0 +1,232 @@
+// Gran Caffè L'Aquila - Share Cards
+// Draws a portrait PNG for sharing one wine (name, producer, region, vintage, family colour and logo)
+// or a list of wines, in the colours of the list. Used by the share dialog.
+
+class WineShareCard {
+    static get width() {
+        return 1080;
+    }
+
+    static get height() {
+        return 1350;
+    }
+
+    // How many wines a list card has room for
+    static get listRows() {
+        return 5;
+    }
+
+    static get colors() {
+        return {
+            background: '#0A0A0A',
+            charcoal: '#1A1A1A',
+            gold: '#D4AF37',
+            ivory: '#F5F5F0',
+            muted: '#B5B1A5'
+        };
+    }
+
+    /**
+     * A PNG of the card: resolves to { blob, canvas }, or null where canvas is not available.
+     * card.wines - [{ name, producer, details, family, familyName }]; one wine gets the large layout
+     * card.title - heading of a list card, e.g. "My wine selection"
+     * card.more - line under a list that did not fit, e.g. "+ 3 more"
+     * card.footer - last line of the card
+     */
+    static async create(card) {
+        const canvas = document.createElement('canvas');
+        canvas.width = WineShareCard.width;
+        canvas.height = WineShareCard.height;
+        const context = typeof canvas.getContext === 'function' ? canvas.getContext('2d') : null;
+        if (!context) return null;
+
+        // The card uses the page fonts; drawing before they load would fall back to Georgia
+        if (document.fonts && document.fonts.ready) {
+            await document.fonts.ready;
+        }
+        const logo = await WineShareCard.loadImage('image/gcaLogo.png');
+
+        WineShareCard.draw(context, card, logo);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        return blob ? { blob, canvas } : null;
+    }
+
+    static loadImage(src) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => resolve(null);
+            image.src = src;
+        });
+    }
+
+    static familyColor(family) {
+        return WineLabelArt.familyColors[family] || WineLabelArt.familyColors.ROSSO;
+    }
+
+    static draw(context, card, logo) {
+        const { width, height, colors } = WineShareCard;
+        const wines = card.wines || [];
+
+        const background = context.createLinearGradient(0, 0, 0, height);
+        background.addColorStop(0, colors.background);
+        background.addColorStop(1, colors.charcoal);
+        context.fillStyle = background;
+        context.fillRect(0, 0, width, height);
+
+        // Family colour along the top edge, like the capsule on the label art
+        context.fillStyle = wines.length === 1 ? WineShareCard.familyColor(wines[0].family) : colors.gold;
+        context.fillRect(0, 0, width, 18);
+
+        context.strokeStyle = colors.gold;
+        context.lineWidth = 2;
+        context.strokeRect(48, 66, width - 96, height - 114);
+
+        let y = 110;
+        if (logo) {
+            const logoHeight = 150;
+            const logoWidth = logo.width * (logoHeight / logo.height);
+            context.drawImage(logo, (width - logoWidth) / 2, y, logoWidth, logoHeight);
+            y += logoHeight + 30;
+        }
+        WineShareCard.text(context, 'GRAN CAFFÈ L\'AQUILA', width / 2, y + 34, '500 36px Cinzel, Georgia, serif', colors.gold, { letterSpacing: 6 });
+        y += 100;
+
+        if (wines.length === 1) {
+            WineShareCard.drawWine(context, wines[0], y);
+        } else {
+            WineShareCard.drawList(context, card, wines, y);
+        }
+
+        context.fillStyle = colors.gold;
+        context.fillRect(width / 2 - 60, height - 150, 120, 2);
+        WineShareCard.text(context, card.footer || '', width / 2, height - 100, 'italic 34px Cormorant, Georgia, serif', colors.muted);
+    }
+
+    static drawWine(context, wine, top) {
+        const { width, height, colors } = WineShareCard;
+        const color = WineShareCard.familyColor(wine.family);
+
+        // The name is set as large as its longest line allows, on up to three lines
+        const maxWidth = width - 220;
+        const name = String(wine.name || '').toUpperCase();
+        let size = 96;
+        let lines;
+        do {
+            context.font = `600 ${size}px Cinzel, Georgia, serif`;
+            lines = WineShareCard.wrap(context, name, maxWidth, 3);
+            size -= 6;
+        } while (size >= 48 && lines.some(line => context.measureText(line).width > maxWidth));
+        size += 6;
+
+        // The block is centred between the heading and the footer
+        const blockHeight = (wine.familyName ? 110 : 0) + lines.length * size * 1.1 + (wine.producer ? 90 : 0) + (wine.details ? 70 : 0);
+        let y = top + Math.max(40, (height - 180 - top - blockHeight) / 2);
+
+        if (wine.familyName) {
+            context.font = '500 28px Cinzel, Georgia, serif';
+            const pillWidth = context.measureText(wine.familyName.toUpperCase()).width + 64;
+            context.fillStyle = color;
+            WineShareCard.roundRect(context, (width - pillWidth) / 2, y - 36, pillWidth, 54, 27);
+            context.fill();
+            WineShareCard.text(context, wine.familyName.toUpperCase(), width / 2, y, '500 28px Cinzel, Georgia, serif', colors.ivory);
+            y += 110;
+        }
+
+        lines.forEach(line => {
+            y += size * 1.1;
+            WineShareCard.text(context, line, width / 2, y, `600 ${size}px Cinzel, Georgia, serif`, colors.ivory, { maxWidth });
+        });
+
+        if (wine.producer) {
+            y += 90;
+            WineShareCard.text(context, wine.producer, width / 2, y, 'italic 50px Cormorant, Georgia, serif', colors.gold, { maxWidth });
+        }
+        if (wine.details) {
+            y += 70;
+            WineShareCard.text(context, wine.details, width / 2, y, '40px Cormorant, Georgia, serif', colors.muted, { maxWidth });
+        }
+    }
+
+    static drawList(context, card, wines, top) {
+        const { width, height, colors } = WineShareCard;
+        const left = 130;
+        const maxWidth = width - left - 110;
+        const rowHeight = 112;
+        let y = top + 30;
+
+        if (card.title) {
+            WineShareCard.text(context, card.title.toUpperCase(), width / 2, y, '600 46px Cinzel, Georgia, serif', colors.gold, { maxWidth: width - 200 });
+            y += 80;
+        }
+
+        wines.forEach(wine => {
+            context.fillStyle = WineShareCard.familyColor(wine.family);
+            context.beginPath();
+            context.arc(left - 34, y + 26, 12, 0, Math.PI * 2);
+            context.fill();
+
+            WineShareCard.text(context, String(wine.name || '').toUpperCase(), left, y + 38, '600 40px Cinzel, Georgia, serif', colors.ivory, { align: 'left', maxWidth });
+            const subtitle = [wine.producer, wine.details].filter(Boolean).join(' · ');
+            WineShareCard.text(context, subtitle, left, y + 82, '32px Cormorant, Georgia, serif', colors.muted, { align: 'left', maxWidth });
+            y += rowHeight;
+        });
+
+        if (card.more && y < height - 190) {
+            WineShareCard.text(context, card.more, width / 2, y + 30, 'italic 36px Cormorant, Georgia, serif', colors.gold);
+        }
+    }
+
+    // One line of text, cut with "…" when it is wider than options.maxWidth
+    static text(context, text, x, y, font, color, options = {}) {
+        context.font = font;
+        context.fillStyle = color;
+        context.textAlign = options.align || 'center';
+        context.textBaseline = 'alphabetic';
+        if ('letterSpacing' in context && options.letterSpacing) {
+            context.letterSpacing = `${options.letterSpacing}px`;
+        }
+        context.fillText(options.maxWidth ? WineShareCard.fit(context, text, options.maxWidth) : text, x, y);
+        if ('letterSpacing' in context) {
+            context.letterSpacing = '0px';
+        }
+    }
+
+    static fit(context, text, maxWidth) {
+        let value = String(text || '');
+        if (context.measureText(value).width <= maxWidth) return value;
+        while (value.length > 1 && context.measureText(value + '…').width > maxWidth) {
+            value = value.slice(0, -1);
+        }
+        return value.trim() + '…';
+    }
+
+    // Breaks text into lines no wider than maxWidth; what is left after maxLines is cut with "…"
+    static wrap(context, text, maxWidth, maxLines) {
+        const lines = [];
+        text.split(/\s+/).filter(Boolean).forEach(word => {
+            const last = lines[lines.length - 1];
+            if (last !== undefined && context.measureText(`${last} ${word}`).width <= maxWidth) {
+                lines[lines.length - 1] = `${last} ${word}`;
+            } else {
+                lines.push(word);
+            }
+        });
+
+        if (lines.length > maxLines) {
+            const rest = lines.splice(maxLines - 1).join(' ');
+            lines.push(WineShareCard.fit(context, rest, maxWidth));
+        }
+        return lines;
+    }
+
+    static roundRect(context, x, y, width, height, radius) {
+        context.beginPath();
+        context.moveTo(x + radius, y);
+        context.arcTo(x + width, y, x + width, y + height, radius);
+        context.arcTo(x + width, y + height, x, y + height, radius);
+        context.arcTo(x, y + height, x, y, radius);
+        context.arcTo(x, y, x + width, y, radius);
+        context.closePath();
+    }
+}
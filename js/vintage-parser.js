@@ -0,0 +1,140 @@
+// Gran Caffè L'Aquila - wine_vintage Parser
+// Splits strings such as "(SICILIA DOC/TRAPANI 2023)" or "MGA: LORETO (COMUNE: BARBARESCO 2020)"
+// into appellation, classification, vintage year and the finer place names.
+
+class VintageParser {
+    // Italian quality classifications, most specific first
+    static get classifications() {
+        return ['DOCG', 'DOC', 'IGT', 'IGP'];
+    }
+
+    // Spelling variants found in the list, folded so the filter shows one option each
+    static get appellationAliases() {
+        return {
+            'VESUSVIO': 'VESUVIO',
+            'VALDOBBIADINE': 'VALDOBBIADENE',
+            'VALLE D\'AOSTE': 'VALLE D\'AOSTA',
+            'VALLÉE D\'AOSTE': 'VALLE D\'AOSTA',
+            'MASSSA MARITTIMA': 'MASSA MARITTIMA'
+        };
+    }
+
+    // Langhe villages listed without their appellation ("(COMUNE: NEIVE 2021)"), all DOCG
+    static get comuneAppellations() {
+        return {
+            'BARBARESCO': 'BARBARESCO',
+            'NEIVE': 'BARBARESCO',
+            'TREISO': 'BARBARESCO',
+            'SAN ROCCO': 'BARBARESCO',
+            'BAROLO': 'BAROLO',
+            'LA MORRA': 'BAROLO'
+        };
+    }
+
+    /**
+     * Parse a wine_vintage string.
+     * options.fallbackAppellation - used when the string only carries a classification, e.g. "(DOCG 2019)"
+     *   with the list category CHIANTI (generic headings such as "VINI ROSSI" are ignored)
+     * options.assumeNonVintage - treat a missing year as non-vintage (typical for sparkling wines)
+     */
+    static parse(vintage, options = {}) {
+        const result = {
+            appellation: null,
+            classification: null,
+            year: null,
+            isNonVintage: false,
+            subzone: null,
+            comune: null,
+            cru: null,
+            raw: vintage || null
+        };
+        if (!vintage) return result;
+
+        let text = String(vintage).toUpperCase().replace(/\s+/g, ' ').trim();
+
+        // "MGA: LORETO (COMUNE: BARBARESCO 2020)" - the MGA or CRU is the named vineyard
+        const cruMatch = text.match(/^(?:MGA|CRU):\s*([^(]+?)\s*\(/);
+        if (cruMatch) {
+            result.cru = cruMatch[1].replace(/\*+$/, '').trim();
+            text = text.slice(cruMatch[0].length - 1);
+        }
+
+        text = text.replace(/^\(|\)$/g, '').replace(/\b0[.,]0 ALCOHOL\b/, ' ').trim();
+
+        const yearMatch = text.match(/\b(19|20)\d{2}\b/);
+        if (yearMatch) {
+            result.year = Number(yearMatch[0]);
+            text = text.replace(yearMatch[0], ' ');
+        }
+
+        if (/\bNV\b/.test(text)) {
+            result.isNonVintage = true;
+            text = text.replace(/\bNV\b/, ' ');
+        } else if (!result.year && options.assumeNonVintage) {
+            result.isNonVintage = true;
+        }
+
+        const comuneMatch = text.match(/COMUNE:\s*([^,]+)/);
+        if (comuneMatch) {
+            result.comune = comuneMatch[1].replace(/[,\s]+$/, '').trim() || null;
+            text = text.replace(comuneMatch[0], ' ');
+        }
+
+        // "DO" is a common shorthand for DOC in the list
+        const classificationMatch = text.match(/\b(DOCG|DOC|DO|IGT|IGP)\b/);
+        if (classificationMatch) {
+            result.classification = classificationMatch[1] === 'DO' ? 'DOC' : classificationMatch[1];
+            text = text.replace(classificationMatch[0], ' ');
+        }
+
+        // What is left is "APPELLATION/SUBZONE" or "APPELLATION, SUBZONE" (a town or sub-area)
+        const [appellation, subzone] = text.split(/[\/,]/)
+            .map(part => VintageParser.cleanName(part))
+            .filter(Boolean);
+        result.appellation = appellation || null;
+        result.subzone = subzone || null;
+
+        // "(IGT/ GILIO 2019)" has no appellation, only the place after the slash
+        if (/^\s*\//.test(text)) {
+            result.subzone = result.appellation;
+            result.appellation = null;
+        }
+
+        if (!result.appellation && VintageParser.comuneAppellations[result.comune]) {
+            result.appellation = VintageParser.comuneAppellations[result.comune];
+            result.classification = result.classification || 'DOCG';
+        }
+        if (!result.appellation && options.fallbackAppellation && !VintageParser.isGenericCategory(options.fallbackAppellation)) {
+            const fallback = VintageParser.parse(`(${options.fallbackAppellation})`);
+            result.appellation = fallback.appellation;
+            result.classification = result.classification || fallback.classification;
+        }
+
+        if (result.appellation) {
+            result.appellation = VintageParser.appellationAliases[result.appellation] || result.appellation;
+        }
+
+        return result;
+    }
+
+    // List headings that describe a style rather than a place
+    static isGenericCategory(category) {
+        return /VINI|METODO|BOLLICINE|ARANCIONE|SUPERTUSCAN|SPRITZ|ROSSO|BIANCO/.test(String(category).toUpperCase());
+    }
+
+    static cleanName(text) {
+        return (text || '')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s-]+|[\s-]+$/g, '')
+            .trim();
+    }
+
+    // "SICILIA DOC" style label for display
+    static formatAppellation(info) {
+        return [info.appellation, info.classification].filter(Boolean).join(' ') || null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VintageParser;
+}
@@ -0,0 +1,92 @@
+// Gran Caffè L'Aquila - Wine Data Loader
+// Loads data/wines.json (or the editor's draft while previewing) and validates it with WineSchema.
+// Used by the public pages and by the admin editor so both see exactly the same list.
+
+class WineDataSource {
+    static get dataUrl() {
+        return 'data/wines.json';
+    }
+
+    // Draft saved by admin.html: { savedAt, wines }
+    static get draftKey() {
+        return 'gcaWineListDraft';
+    }
+
+    // Set for the browser session by opening any page with ?preview=draft
+    static get previewKey() {
+        return 'gcaPreviewDraft';
+    }
+
+    /**
+     * Load and validate the wine list.
+     * options.useDraft - return the saved draft instead of the published list when one exists
+     * Returns { wines, report, updatedAt, isDraft }
+     */
+    static async load(options = {}) {
+        const draft = options.useDraft ? WineDataSource.loadDraft() : null;
+        if (draft) {
+            const { wines, report } = WineSchema.validate({ wines: draft.wines });
+            return { wines, report, updatedAt: new Date(draft.savedAt), isDraft: true };
+        }
+
+        const response = await fetch(WineDataSource.dataUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+
+        // The service worker stamps cached copies with the time they were downloaded
+        const fetchedAt = response.headers && response.headers.get('X-Fetched-At');
+        const { wines, report } = WineSchema.validate(data);
+        return { wines, report, updatedAt: fetchedAt ? new Date(fetchedAt) : new Date(), isDraft: false };
+    }
+
+    static loadDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(WineDataSource.draftKey));
+            return draft && Array.isArray(draft.wines) ? draft : null;
+        } catch (error) {
+            console.warn('Could not read the draft wine list:', error);
+            return null;
+        }
+    }
+
+    static saveDraft(wines) {
+        const draft = { savedAt: new Date().toISOString(), wines };
+        localStorage.setItem(WineDataSource.draftKey, JSON.stringify(draft));
+        return draft;
+    }
+
+    static clearDraft() {
+        localStorage.removeItem(WineDataSource.draftKey);
+    }
+
+    static isPreviewing() {
+        try {
+            return sessionStorage.getItem(WineDataSource.previewKey) === 'true' && Boolean(WineDataSource.loadDraft());
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static setPreviewing(enabled) {
+        try {
+            if (enabled) {
+                sessionStorage.setItem(WineDataSource.previewKey, 'true');
+            } else {
+                sessionStorage.removeItem(WineDataSource.previewKey);
+            }
+        } catch (error) {
+            console.warn('Could not save the preview setting:', error);
+        }
+    }
+
+    // The document written by "Export wines.json"
+    static toJSON(wines) {
+        return JSON.stringify({ wines }, null, 2) + '\n';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineDataSource;
+}
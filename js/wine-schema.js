@@ -0,0 +1,338 @@
+// Gran Caffè L'Aquila - Wine Record Schema, Validation and Normalization
+// Shared by the browser app and the Node scripts in scripts/
+
+class WineSchema {
+    // Regions a wine may be listed under (normalizeRegionName() folds the variants together)
+    static get knownRegions() {
+        return [
+            'SICILIA', 'PIEMONTE', 'TOSCANA', 'VENETO', 'LOMBARDIA', 'EMILIA-ROMAGNA',
+            'LAZIO', 'CAMPANIA', 'PUGLIA', 'CALABRIA', 'BASILICATA', 'MOLISE',
+            'ABRUZZO', 'UMBRIA', 'LE MARCHE', 'FRIULI-VENEZIA GIULIA', 'FRIULI', 'TRENTINO ALTO-ADIGE',
+            'VALLE D\'AOSTA', 'LIGURIA', 'SARDEGNA', 'TOSCANA (BOLGHERI)', 'LUGANA DOC (VENETO)',
+            'TARANTO IGT (PUGLIA)', 'MATERA DOC (BASILICATA)'
+        ];
+    }
+
+    // Spreadsheet header rows that ended up in the data as wines
+    static get placeholderNames() {
+        return ['WINE NAME', 'WINE PRICE', 'VINTAGE'];
+    }
+
+    // Tasting profile scales, each scored from 1 (low) to 5 (high)
+    static get tastingScales() {
+        return ['body', 'acidity', 'tannin', 'sweetness', 'alcohol'];
+    }
+
+    // The wine record. Fields not listed here are kept as they are.
+    static get fields() {
+        return {
+            wine_number: { type: 'string', required: true },
+            wine_name: { type: 'string', required: true },
+            wine_producer: { type: 'string', required: true },
+            wine_vintage: { type: 'string' },
+            wine_price: { type: 'price' },
+            wine_price_split: { type: 'price' },
+            wine_price_glass: { type: 'price' },
+            wine_price_bottle: { type: 'price' },
+            wine_description: { type: 'string' },
+            region: { type: 'string', required: true, uppercase: true, oneOf: WineSchema.knownRegions },
+            wine_type: { type: 'string', required: true, uppercase: true },
+            category: { type: 'string', uppercase: true },
+            organic: { type: 'boolean', defaultValue: false },
+            alcohol: { type: 'string' },
+            aging: { type: 'string' },
+            varietals: { type: 'string' },
+            soil: { type: 'string' },
+            elevation: { type: 'string' },
+            tasting_profile: { type: 'tastingProfile' }
+        };
+    }
+
+    /**
+     * Validate and normalize a wines.json document.
+     * Returns the wines that passed and a report of every rejected or repaired record.
+     * Clean numeric price strings ("48") become numbers silently; every other change is reported.
+     */
+    static validate(data) {
+        const records = (data && Array.isArray(data.wines)) ? data.wines : [];
+        const report = {
+            total: records.length,
+            accepted: 0,
+            rejected: [],
+            repaired: [],
+            warnings: []
+        };
+        const wines = [];
+        const seenNumbers = new Map();
+
+        records.forEach((record, index) => {
+            const { wine, repairs, errors } = WineSchema.normalizeRecord(record);
+            const entry = {
+                index,
+                wine_number: wine.wine_number,
+                wine_name: wine.wine_name
+            };
+
+            if (errors.length > 0) {
+                // The raw record is kept so the editor can show it for fixing instead of losing it
+                report.rejected.push({ ...entry, reasons: errors, record });
+                return;
+            }
+
+            if (repairs.length > 0) {
+                report.repaired.push({ ...entry, repairs });
+            }
+
+            // The same bin can legitimately appear under two categories, so this is only a warning
+            if (seenNumbers.has(wine.wine_number)) {
+                report.warnings.push({
+                    ...entry,
+                    message: `Duplicate wine_number (also used by record ${seenNumbers.get(wine.wine_number)})`
+                });
+            } else {
+                seenNumbers.set(wine.wine_number, index);
+            }
+
+            wines.push(wine);
+        });
+
+        report.accepted = wines.length;
+        return { wines, report };
+    }
+
+    static normalizeRecord(record) {
+        const wine = { ...record };
+        const repairs = [];
+        const errors = [];
+        const fields = WineSchema.fields;
+
+        const repair = (field, to, reason) => {
+            repairs.push({ field, from: wine[field], to, reason });
+            wine[field] = to;
+        };
+
+        Object.entries(fields).forEach(([field, rule]) => {
+            const value = wine[field];
+
+            if (rule.type === 'string') {
+                const normalized = WineSchema.normalizeString(value, rule);
+                if (normalized !== value && !(normalized === null && value === undefined)) {
+                    repair(field, normalized, WineSchema.describeStringRepair(value, normalized));
+                }
+                wine[field] = normalized;
+            } else if (rule.type === 'boolean') {
+                if (typeof value !== 'boolean') {
+                    const normalized = WineSchema.parseBoolean(value, rule.defaultValue);
+                    repair(field, normalized, `Expected true/false, got ${JSON.stringify(value)}`);
+                }
+            } else if (rule.type === 'tastingProfile') {
+                if (value === null || value === undefined) return;
+                const { profile, problems } = WineSchema.normalizeTastingProfile(value);
+                if (problems.length > 0) {
+                    repair(field, profile, problems.join('; '));
+                } else {
+                    wine[field] = profile;
+                }
+            } else if (rule.type === 'price') {
+                const { price, reason } = WineSchema.parsePrice(value);
+                if (reason) {
+                    repair(field, price, reason);
+                } else {
+                    wine[field] = price;
+                }
+            }
+        });
+
+        WineSchema.repairPrices(wine, repair);
+        WineSchema.repairWineType(wine, repair);
+
+        // Required fields and allowed values
+        Object.entries(fields).forEach(([field, rule]) => {
+            if (rule.required && (wine[field] === null || wine[field] === undefined)) {
+                errors.push({ field, message: `Missing ${field}` });
+            } else if (rule.oneOf && wine[field] !== null && !rule.oneOf.includes(wine[field])) {
+                errors.push({ field, message: `Unknown ${field} "${wine[field]}"` });
+            }
+        });
+
+        if (wine.wine_name && WineSchema.placeholderNames.includes(wine.wine_name)) {
+            errors.push({ field: 'wine_name', message: `Spreadsheet header row ("${wine.wine_name}")` });
+        }
+        if (wine.wine_producer === 'UNKNOWN PRODUCER') {
+            errors.push({ field: 'wine_producer', message: 'Placeholder producer "UNKNOWN PRODUCER"' });
+        }
+        if (wine.wine_type && /SANGRIA|COCKTAIL/.test(wine.wine_type)) {
+            errors.push({ field: 'wine_type', message: `Not a wine (${wine.wine_type})` });
+        }
+
+        const prices = [wine.wine_price, wine.wine_price_bottle, wine.wine_price_glass, wine.wine_price_split];
+        if (!prices.some(price => typeof price === 'number' || price === 'SOLD OUT')) {
+            errors.push({ field: 'wine_price', message: 'No usable price' });
+        }
+
+        return { wine, repairs, errors };
+    }
+
+    /**
+     * A tasting profile: { body, acidity, tannin, sweetness, alcohol, aromas }.
+     * Scales are whole numbers from 1 to 5 and may be left out (e.g. tannin for a white);
+     * aromas are lower-case tags. Numbers typed as text and comma-separated aromas are accepted silently;
+     * anything else that cannot be used is dropped and listed in problems.
+     * Returns { profile, problems }; profile is null when nothing usable is left.
+     */
+    static normalizeTastingProfile(value) {
+        const problems = [];
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return { profile: null, problems: ['Tasting profile is not an object'] };
+        }
+
+        const profile = {};
+        WineSchema.tastingScales.forEach(scale => {
+            const raw = value[scale];
+            if (raw === null || raw === undefined || raw === '') return;
+
+            const score = Number(raw);
+            if (Number.isInteger(score) && score >= 1 && score <= 5) {
+                profile[scale] = score;
+            } else {
+                problems.push(`Tasting ${scale} must be 1 to 5, got ${JSON.stringify(raw)}`);
+            }
+        });
+
+        if (value.aromas !== null && value.aromas !== undefined) {
+            const aromas = typeof value.aromas === 'string' ? value.aromas.split(',') : value.aromas;
+            if (Array.isArray(aromas)) {
+                const tags = aromas
+                    .filter(aroma => typeof aroma === 'string')
+                    .map(aroma => aroma.replace(/\s+/g, ' ').trim().toLowerCase())
+                    .filter(Boolean);
+                if (tags.length > 0) profile.aromas = [...new Set(tags)];
+            } else {
+                problems.push('Tasting aromas must be a list of words');
+            }
+        }
+
+        Object.keys(value)
+            .filter(key => key !== 'aromas' && !WineSchema.tastingScales.includes(key))
+            .forEach(key => problems.push(`Unknown tasting profile entry "${key}"`));
+
+        return { profile: Object.keys(profile).length > 0 ? profile : null, problems };
+    }
+
+    static normalizeString(value, rule = {}) {
+        if (value === null || value === undefined) return null;
+
+        let text = String(value).replace(/\s+/g, ' ').trim();
+        if (rule.uppercase) text = text.toUpperCase();
+        return text === '' ? null : text;
+    }
+
+    static describeStringRepair(from, to) {
+        if (from === null || from === undefined) return 'Missing value';
+        if (to === null) return 'Empty value';
+        if (typeof from !== 'string') return `Converted ${typeof from} to text`;
+        if (from.trim() !== from || /\s{2,}/.test(from)) return 'Trimmed whitespace';
+        return 'Normalized case';
+    }
+
+    static parseBoolean(value, defaultValue) {
+        if (typeof value === 'string') {
+            const text = value.trim().toLowerCase();
+            if (['true', 'yes', 'y', '1', 'si', 'sì'].includes(text)) return true;
+            if (['false', 'no', 'n', '0'].includes(text)) return false;
+        }
+        if (typeof value === 'number') return value !== 0;
+        return defaultValue;
+    }
+
+    // Returns { price, reason }: reason is set when the value had to be repaired
+    static parsePrice(value) {
+        if (value === null || value === undefined) return { price: null };
+        if (typeof value === 'number') {
+            return value > 0 ? { price: value } : { price: null, reason: 'Zero price removed' };
+        }
+        if (typeof value === 'boolean') {
+            return { price: null, reason: `Flag ${value} is not a price` };
+        }
+
+        const text = String(value).trim();
+        if (text === '') return { price: null, reason: 'Empty value' };
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const price = Number(text);
+            return price > 0 ? { price } : { price: null, reason: 'Zero price removed' };
+        }
+        if (text.toUpperCase() === 'SOLD OUT') {
+            return text === 'SOLD OUT' ? { price: text } : { price: 'SOLD OUT', reason: 'Normalized case' };
+        }
+
+        // Currency symbols, thousands separators or a decimal comma ("€ 1.250,00", "$48")
+        const cleaned = text.replace(/[$€£\s]/g, '');
+        const decimalComma = /^\d{1,3}(\.\d{3})*,\d{1,2}$/.test(cleaned) || /^\d+,\d{1,2}$/.test(cleaned);
+        const numeric = decimalComma
+            ? cleaned.replace(/\./g, '').replace(',', '.')
+            : cleaned.replace(/,/g, '');
+        if (/^\d+(\.\d+)?$/.test(numeric) && Number(numeric) > 0) {
+            return { price: Number(numeric), reason: `Parsed price from "${text}"` };
+        }
+
+        // Anything else (e.g. "39 (375ML)") is left for repairPrices() to interpret
+        return { price: text };
+    }
+
+    static repairPrices(wine, repair) {
+        // Half bottles are listed in the bottle column as e.g. "39 (375ML)"
+        ['wine_price_bottle', 'wine_price'].forEach(field => {
+            const match = typeof wine[field] === 'string' && wine[field].match(/^(\d+(?:\.\d+)?)\s*\(\s*375\s*ML\s*\)$/i);
+            if (!match) return;
+
+            if (wine.wine_price_split === null || wine.wine_price_split === undefined) {
+                repair('wine_price_split', Number(match[1]), `Half-bottle price moved from ${field}`);
+            }
+            repair(field, null, 'Half-bottle price is not a bottle price');
+        });
+
+        // A "glass/bottle" pair in the split column repeats the glass and bottle prices
+        const pair = typeof wine.wine_price_split === 'string' && wine.wine_price_split.match(/^(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/);
+        if (pair) {
+            if (wine.wine_price_glass === null || wine.wine_price_glass === undefined) {
+                repair('wine_price_glass', Number(pair[1]), 'Glass price taken from "glass/bottle" split value');
+            }
+            if (wine.wine_price_bottle === null || wine.wine_price_bottle === undefined) {
+                repair('wine_price_bottle', Number(pair[2]), 'Bottle price taken from "glass/bottle" split value');
+            }
+            repair('wine_price_split', null, '"glass/bottle" pair is not a split price');
+        }
+
+        // Whatever is still text at this point cannot be read as a price
+        ['wine_price', 'wine_price_split', 'wine_price_glass', 'wine_price_bottle'].forEach(field => {
+            if (typeof wine[field] === 'string' && wine[field] !== 'SOLD OUT') {
+                repair(field, null, `Unreadable price "${wine[field]}"`);
+            }
+        });
+    }
+
+    static repairWineType(wine, repair) {
+        if (wine.wine_type) return;
+
+        // Infer the family from the appellation, then from the list category
+        const appellation = (wine.wine_vintage || '').toUpperCase();
+        const category = wine.category || '';
+        const rules = [
+            { source: 'appellation', test: /FRANCIACORTA|TRENTO|PROSECCO|SPUMANTE|METODO CLASSICO|BRUT/.test(appellation), type: 'BOLLICINE' },
+            { source: 'category', test: /METODO|BOLLICINE/.test(category), type: 'BOLLICINE' },
+            { source: 'category', test: /ROSSI|ROSSO/.test(category), type: 'ROSSO' },
+            { source: 'category', test: /ARANCIONE/.test(category), type: 'ARANCIONE' },
+            // "VINI BIANCHI E ROSATI" mixes whites and rosés, so only the white-only categories count
+            { source: 'category', test: /^VINI BIANCHI - /.test(category), type: 'BIANCO' }
+        ];
+
+        const rule = rules.find(r => r.test);
+        if (rule) {
+            repair('wine_type', rule.type, `Missing wine_type inferred from ${rule.source}`);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineSchema;
+}
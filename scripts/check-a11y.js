@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+// Gran Caffè L'Aquila - Accessibility check of the public pages, run in jsdom
+//
+// Usage: node scripts/check-a11y.js [--page "wines.html?region=TOSCANA"] [--lang it] [--strict]
+//   --page    check one page (with its query string) instead of every public page
+//   --lang    interface language to check (default: en)
+//   --strict  exit with an error when a problem is found
+//
+// Needs jsdom 26 (npm install --no-save jsdom@26; later versions no longer have ResourceLoader). Each page is loaded with its scripts and the wine data and
+// checked against the rules below; then its dialogs are opened to check focus, Tab trapping and Escape.
+// Colour contrast and visible focus depend on layout, which jsdom does not do: check those in a browser.
+
+const fs = require('fs');
+const path = require('path');
+
+let jsdom;
+try {
+    jsdom = require('jsdom');
+} catch (error) {
+    console.error('This check needs jsdom: run "npm install --no-save jsdom@26" first');
+    process.exit(2);
+}
+const { JSDOM, ResourceLoader, VirtualConsole } = jsdom;
+if (!ResourceLoader) {
+    console.error('This check needs jsdom 26 (later versions no longer have ResourceLoader): run "npm install --no-save jsdom@26"');
+    process.exit(2);
+}
+
+const ROOT = path.join(__dirname, '..');
+const ORIGIN = 'http://localhost/';
+const PAGES = [
+    'index.html',
+    'regions.html',
+    'wines.html?region=TOSCANA',
+    'wine-details.html?id=556-morellino-di-scansano-heba',
+    'producer.html?name=ANTINORI',
+    'print.html',
+    'selection.html?wines=556-morellino-di-scansano-heba,230-chardonnay-banfi',
+    'compare.html?wines=556-morellino-di-scansano-heba,230-chardonnay-banfi'
+];
+
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+};
+const language = option('--lang') || 'en';
+
+// Scripts and stylesheets are read from the repository; fonts and icons from the CDNs are skipped
+class LocalResources extends ResourceLoader {
+    fetch(url) {
+        const target = new URL(url);
+        if (target.origin !== new URL(ORIGIN).origin) return Promise.resolve(Buffer.from(''));
+        return fs.promises.readFile(path.join(ROOT, decodeURIComponent(target.pathname)));
+    }
+}
+
+// jsdom has no fetch(); the app only uses it for the files in data/
+function localFetch(window) {
+    return async resource => {
+        const file = path.join(ROOT, decodeURIComponent(new URL(resource, window.location.href).pathname));
+        if (!fs.existsSync(file)) {
+            return { ok: false, status: 404, headers: new Map(), json: async () => null, text: async () => '' };
+        }
+        const body = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, headers: new Map(), json: async () => JSON.parse(body), text: async () => body };
+    };
+}
+
+function loadPage(page) {
+    const html = fs.readFileSync(path.join(ROOT, page.split('?')[0]), 'utf8');
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => {
+        // jsdom has no canvas: the share dialog opens without its card, as in a browser that cannot draw one
+        if (!error.message.startsWith('Not implemented: HTMLCanvasElement')) errors.push(error.message);
+    });
+
+    const dom = new JSDOM(html, {
+        url: ORIGIN + page,
+        runScripts: 'dangerously',
+        resources: new LocalResources(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.fetch = localFetch(window);
+            window.alert = () => {};
+            window.scrollTo = () => {};
+            window.HTMLElement.prototype.scrollIntoView = () => {};
+            window.localStorage.setItem('gcaLanguage', language);
+        }
+    });
+
+    // Ready once the app has loaded the wines and the loading placeholders are gone
+    return new Promise(resolve => {
+        const started = Date.now();
+        const poll = setInterval(() => {
+            const { document, wineApp } = dom.window;
+            const ready = wineApp && wineApp.wines.length > 0 && !document.querySelector('.loading');
+            if (ready || Date.now() - started > 5000) {
+                clearInterval(poll);
+                setTimeout(() => resolve({ dom, errors }), 100);
+            }
+        }, 50);
+    });
+}
+
+function isHidden(element) {
+    return Boolean(element.closest('[hidden], [aria-hidden="true"], template'));
+}
+
+function describe(element) {
+    const id = element.id ? `#${element.id}` : '';
+    const className = typeof element.className === 'string' && element.className.trim()
+        ? '.' + element.className.trim().split(/\s+/).join('.')
+        : '';
+    const text = element.textContent.replace(/\s+/g, ' ').trim().slice(0, 40);
+    return `<${element.tagName.toLowerCase()}${id}${className}>${text ? ` "${text}"` : ''}`;
+}
+
+// Text a screen reader would announce for an element (a simplified accessible name computation)
+function accessibleName(element) {
+    const document = element.ownerDocument;
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        return labelledBy.split(/\s+/)
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .map(target => target.textContent)
+            .join(' ')
+            .trim();
+    }
+    if (element.getAttribute('aria-label')) return element.getAttribute('aria-label').trim();
+
+    const textOf = node => {
+        if (node.nodeType === 3) return node.textContent;
+        if (node.nodeType !== 1 || node.getAttribute('aria-hidden') === 'true' || node.hidden) return '';
+        if (node.tagName === 'IMG') return node.getAttribute('alt') || '';
+        if (node.getAttribute('role') === 'img' || node.getAttribute('aria-label')) return node.getAttribute('aria-label') || '';
+        return [...node.childNodes].map(textOf).join(' ');
+    };
+    const text = [...element.childNodes].map(textOf).join(' ').replace(/\s+/g, ' ').trim();
+    return text || (element.getAttribute('title') || '').trim();
+}
+
+function hasLabel(control) {
+    const document = control.ownerDocument;
+    if (control.getAttribute('aria-label') || control.getAttribute('aria-labelledby') || control.getAttribute('title')) return true;
+    if (control.closest('label')) return true;
+    return Boolean(control.id && document.querySelector(`label[for="${control.id}"]`));
+}
+
+const RULES = [
+    {
+        id: 'document-title',
+        check: document => document.title.trim() ? [] : [{ message: 'The page has no <title>' }]
+    },
+    {
+        id: 'html-lang',
+        check: document => document.documentElement.getAttribute('lang') ? [] : [{ message: '<html> has no lang attribute' }]
+    },
+    {
+        id: 'duplicate-id',
+        check: document => {
+            const seen = new Map();
+            document.querySelectorAll('[id]').forEach(element => seen.set(element.id, (seen.get(element.id) || 0) + 1));
+            return [...seen].filter(([, count]) => count > 1).map(([id, count]) => ({ message: `id "${id}" is used ${count} times` }));
+        }
+    },
+    {
+        id: 'image-alt',
+        selector: 'img, [role="img"]',
+        test: element => element.tagName === 'IMG' ? element.hasAttribute('alt') : Boolean(accessibleName(element)),
+        message: 'Image has no text alternative'
+    },
+    {
+        id: 'button-name',
+        selector: 'button, [role="button"]',
+        test: element => Boolean(accessibleName(element)),
+        message: 'Button has no accessible name'
+    },
+    {
+        id: 'link-name',
+        selector: 'a[href]',
+        test: element => Boolean(accessibleName(element)),
+        message: 'Link has no accessible name'
+    },
+    {
+        id: 'label',
+        selector: 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]), select, textarea',
+        test: hasLabel,
+        message: 'Form control has no label'
+    },
+    {
+        id: 'dialog-name',
+        selector: '[role="dialog"], [role="alertdialog"]',
+        test: element => Boolean(accessibleName(element)) && element.getAttribute('aria-modal') === 'true',
+        message: 'Dialog needs a name (aria-labelledby) and aria-modal="true"'
+    },
+    {
+        id: 'aria-reference',
+        selector: '[aria-labelledby], [aria-describedby], [aria-controls], [aria-activedescendant]',
+        test: element => ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-activedescendant']
+            .filter(name => element.getAttribute(name))
+            .every(name => element.getAttribute(name).split(/\s+/).every(id => element.ownerDocument.getElementById(id))),
+        message: 'ARIA attribute points at an id that is not on the page'
+    },
+    {
+        id: 'aria-state',
+        selector: '[aria-pressed], [aria-expanded], [aria-selected], [aria-checked], [aria-modal]',
+        test: element => ['aria-pressed', 'aria-expanded', 'aria-selected', 'aria-checked', 'aria-modal']
+            .filter(name => element.hasAttribute(name))
+            .every(name => ['true', 'false', 'mixed'].includes(element.getAttribute(name))),
+        message: 'ARIA state must be "true" or "false"'
+    },
+    {
+        id: 'tabindex',
+        selector: '[tabindex]',
+        test: element => Number(element.getAttribute('tabindex')) <= 0,
+        message: 'Positive tabindex changes the reading order'
+    },
+    {
+        id: 'nested-interactive',
+        selector: 'a[href] a[href], a[href] button, button a[href], button button, a[href] input, button input',
+        test: () => false,
+        message: 'Interactive element inside a link or button'
+    },
+    {
+        id: 'click-target',
+        // Clickable-looking markup that keyboard users cannot reach
+        selector: '[onclick]:not(a):not(button):not(input):not(select), [class*="-btn"]:not(a):not(button):not(input):not(label):not([role="button"]), .share-option:not(button)',
+        test: () => false,
+        message: 'Clickable element is not a button or link'
+    }
+];
+
+// Problems on the page, or only inside scope (an open dialog)
+function checkRules(document, scope = document) {
+    const problems = [];
+    RULES.forEach(rule => {
+        if (rule.check) {
+            if (scope === document) {
+                rule.check(document).forEach(problem => problems.push({ rule: rule.id, message: problem.message }));
+            }
+            return;
+        }
+        scope.querySelectorAll(rule.selector).forEach(element => {
+            if (!isHidden(element) && !rule.test(element)) {
+                problems.push({ rule: rule.id, message: `${rule.message}: ${describe(element)}` });
+            }
+        });
+    });
+    return problems;
+}
+
+// Dialogs each page can open, and how to tell they are open
+const DIALOGS = [
+    {
+        name: 'filter panel',
+        opener: '.luxury-filter-btn, .filter-button',
+        dialog: '.facet-panel [role="dialog"]',
+        isOpen: document => Boolean(document.querySelector('.facet-panel'))
+    },
+    {
+        name: 'sommelier wizard',
+        opener: '#sommelierBtn',
+        dialog: '.sommelier-panel [role="dialog"]',
+        isOpen: document => Boolean(document.querySelector('.sommelier-panel'))
+    },
+    {
+        name: 'share dialog',
+        opener: '#shareWineBtn, #shareSelectionBtn',
+        dialog: '#shareModal [role="dialog"]',
+        isOpen: document => document.getElementById('shareModal').classList.contains('active')
+    }
+];
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function pressKey(window, key, shiftKey = false) {
+    const target = window.document.activeElement || window.document.body;
+    target.dispatchEvent(new window.KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true }));
+}
+
+function checkDialog(window, spec) {
+    const { document } = window;
+    const opener = document.querySelector(spec.opener);
+    if (!opener) return null;
+
+    const problems = [];
+    const report = message => problems.push({ rule: 'dialog-keyboard', message: `${spec.name}: ${message}` });
+
+    opener.focus();
+    opener.click();
+    const dialog = document.querySelector(spec.dialog);
+    if (!spec.isOpen(document) || !dialog) {
+        report('did not open as a role="dialog" element');
+        return problems;
+    }
+
+    checkRules(document, dialog).forEach(problem => problems.push({ ...problem, message: `${spec.name}: ${problem.message}` }));
+
+    if (!dialog.contains(document.activeElement)) {
+        report('focus did not move into the dialog when it opened');
+    }
+
+    const focusable = [...dialog.querySelectorAll(FOCUSABLE)].filter(element => !isHidden(element));
+    if (focusable.length > 1) {
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        last.focus();
+        pressKey(window, 'Tab');
+        if (document.activeElement !== first) report('Tab on the last control does not wrap to the first');
+        first.focus();
+        pressKey(window, 'Tab', true);
+        if (document.activeElement !== last) report('Shift+Tab on the first control does not wrap to the last');
+    }
+
+    pressKey(window, 'Escape');
+    if (spec.isOpen(document)) {
+        report('Escape does not close it');
+    } else if (document.activeElement !== opener) {
+        report(`focus did not return to ${describe(opener)} when it closed`);
+    }
+    return problems;
+}
+
+// Filtering must be announced to screen readers through a live region
+function checkLiveRegion(window) {
+    const { document } = window;
+    const search = document.querySelector('.luxury-search-input');
+    if (!search) return Promise.resolve([]);
+
+    const liveRegions = [...document.querySelectorAll('[aria-live="polite"], [aria-live="assertive"], [role="status"]')];
+    const before = liveRegions.map(region => region.textContent);
+    search.value = 'barolo';
+    search.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+    return new Promise(resolve => setTimeout(() => {
+        // A region whose text changed to a count
+        const live = liveRegions.filter((region, index) => region.textContent !== before[index] && /\d/.test(region.textContent));
+        search.value = '';
+        search.dispatchEvent(new window.Event('input', { bubbles: true }));
+        resolve(live.length > 0 ? [] : [{ rule: 'live-results', message: 'Searching does not announce the number of results in a live region' }]);
+    }, 1000));
+}
+
+async function checkPage(page) {
+    const { dom, errors } = await loadPage(page);
+    const { window } = dom;
+    const problems = checkRules(window.document);
+
+    DIALOGS.forEach(spec => {
+        const dialogProblems = checkDialog(window, spec);
+        if (dialogProblems) problems.push(...dialogProblems);
+    });
+    problems.push(...await checkLiveRegion(window));
+    errors.forEach(message => problems.push({ rule: 'script-error', message }));
+
+    window.close();
+    return problems;
+}
+
+(async () => {
+    const pages = option('--page') ? [option('--page')] : PAGES;
+    let total = 0;
+
+    for (const page of pages) {
+        const problems = await checkPage(page);
+        total += problems.length;
+        console.log(`${page}: ${problems.length === 0 ? 'no problems' : `${problems.length} problem${problems.length === 1 ? '' : 's'}`}`);
+        problems.forEach(problem => console.log(`  [${problem.rule}] ${problem.message}`));
+    }
+
+    console.log(`\nChecked ${pages.length} page${pages.length === 1 ? '' : 's'} (${language}): ${total} problem${total === 1 ? '' : 's'}`);
+    if (args.includes('--strict') && total > 0) {
+        process.exit(1);
+    }
+    process.exit(0);
+})();
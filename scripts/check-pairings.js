@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Gran Caffè L'Aquila - Check data/pairings.json after editing the pairing rules
+//
+// Usage: node scripts/check-pairings.js [--wine BIN] [--lang it] [--strict]
+//   --wine    show the ranked pairings and reasons for one bin number
+//   --lang    language for dish names and reasons (default: en)
+//   --strict  exit with an error when a rule has a problem or never applies to a wine on the list
+
+const fs = require('fs');
+const path = require('path');
+const PairingEngine = require('../js/pairing-engine.js');
+const WineSchema = require('../js/wine-schema.js');
+
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+};
+const language = option('--lang') || 'en';
+
+const readJSON = file => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read ${file}: ${error.message}`);
+        process.exit(2);
+    }
+};
+
+const engine = new PairingEngine(readJSON(path.join(__dirname, '..', 'data', 'pairings.json')));
+const { wines } = WineSchema.validate(readJSON(path.join(__dirname, '..', 'data', 'wines.json')));
+
+const wineNumber = option('--wine');
+if (wineNumber) {
+    const matches = wines.filter(wine => wine.wine_number === wineNumber);
+    if (matches.length === 0) {
+        console.error(`No wine with bin ${wineNumber}`);
+        process.exit(2);
+    }
+    matches.forEach(wine => {
+        console.log(`${wine.wine_number} ${wine.wine_name} (${wine.wine_producer || 'no producer'}) - ${wine.wine_type}, ${wine.region}`);
+        engine.pair(wine, {}, language).forEach((pairing, index) => {
+            console.log(`  ${index + 1}. ${pairing.name} [score ${pairing.score}, rule ${pairing.rule}]: ${pairing.reason}`);
+        });
+    });
+    process.exit(0);
+}
+
+const problems = engine.findProblems();
+const profiles = wines.map(wine => PairingEngine.describe(wine));
+const unusedRules = engine.rules.filter(rule => !profiles.some(profile => engine.matches(rule, profile)));
+const unpaired = wines.filter(wine => engine.pair(wine).length === 0);
+
+console.log(`${engine.rules.length} rules, ${Object.keys(engine.dishes).length} dishes, checked against ${wines.length} wines`);
+
+if (problems.length > 0) {
+    console.log('\nProblems:');
+    problems.forEach(problem => console.log(`  ${problem}`));
+}
+
+if (unusedRules.length > 0) {
+    console.log('\nRules that match no wine on the list:');
+    unusedRules.forEach(rule => console.log(`  ${rule.id}`));
+}
+
+if (unpaired.length > 0) {
+    console.log('\nWines without any pairing:');
+    unpaired.forEach(wine => console.log(`  ${wine.wine_number} ${wine.wine_name} (${wine.wine_type})`));
+}
+
+if (args.includes('--strict') && (problems.length > 0 || unusedRules.length > 0)) {
+    process.exit(1);
+}
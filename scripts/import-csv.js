@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Gran Caffè L'Aquila - Import the wine list spreadsheet (saved as CSV) into wines.json
+//
+// Usage: node scripts/import-csv.js <list.csv> [--out file] [--report file] [--delimiter ;] [--reference file] [--strict]
+//   --out        where to write the wines (default: wines.json in the current directory)
+//   --report     also save the full import report as JSON
+//   --delimiter  field separator when it cannot be detected ("," ";" or "tab")
+//   --reference  list used to infer missing wine types and categories (default: data/wines.json)
+//   --strict     exit with an error when any row could not be imported
+
+const fs = require('fs');
+const path = require('path');
+const WineCsvImporter = require('../js/csv-importer.js');
+const WineSchema = require('../js/wine-schema.js');
+
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+};
+const optionValues = new Set(['--out', '--report', '--delimiter', '--reference'].map(option).filter(Boolean));
+const file = args.find(arg => !arg.startsWith('--') && !optionValues.has(arg));
+
+if (!file) {
+    console.error('Usage: node scripts/import-csv.js <list.csv> [--out file] [--report file] [--delimiter ;] [--reference file] [--strict]');
+    process.exit(2);
+}
+
+let text;
+try {
+    text = fs.readFileSync(file, 'utf8');
+} catch (error) {
+    console.error(`Could not read ${file}: ${error.message}`);
+    process.exit(2);
+}
+
+// The published list teaches the importer the family of wines and appellations it already knows
+let referenceWines = [];
+const referenceFile = option('--reference') || path.join(__dirname, '..', 'data', 'wines.json');
+try {
+    referenceWines = WineSchema.validate(JSON.parse(fs.readFileSync(referenceFile, 'utf8'))).wines;
+} catch (error) {
+    console.warn(`No reference list loaded from ${referenceFile}: ${error.message}`);
+}
+
+const delimiter = option('--delimiter') === 'tab' ? '\t' : option('--delimiter');
+const { wines, report } = WineCsvImporter.import(text, { delimiter: delimiter || undefined, referenceWines });
+
+console.log(`Read ${report.rows} rows: ${report.imported} wines imported, ${report.rejected.length} rows rejected, ${report.skipped.length} skipped, ${report.sections.length} section headings`);
+console.log(`Columns: ${Object.entries(report.columns).map(([field, header]) => `${header} -> ${field}`).join(', ')}`);
+
+if (report.unmappedColumns.length > 0) {
+    console.log(`Ignored columns: ${report.unmappedColumns.join(', ')}`);
+}
+
+if (report.skipped.length > 0) {
+    console.log('\nSkipped:');
+    report.skipped.forEach(entry => {
+        console.log(`  row ${entry.row}: ${entry.reason}`);
+    });
+}
+
+if (report.rejected.length > 0) {
+    console.log('\nNot imported:');
+    report.rejected.forEach(entry => {
+        console.log(`  row ${entry.row} ${entry.wine_name || '(no name)'}: ${entry.reasons.join('; ')}`);
+    });
+}
+
+const out = option('--out') || path.join(process.cwd(), 'wines.json');
+fs.writeFileSync(out, JSON.stringify({ wines }, null, 2) + '\n');
+console.log(`\nWrote ${wines.length} wines to ${out}`);
+
+if (option('--report')) {
+    fs.writeFileSync(option('--report'), JSON.stringify(report, null, 2) + '\n');
+    console.log(`Wrote the import report to ${option('--report')}`);
+}
+
+if (args.includes('--strict') && report.rejected.length > 0) {
+    process.exit(1);
+}
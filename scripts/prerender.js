@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+// Gran Caffè L'Aquila - Pre-rendered wine and region pages for search engines and link previews
+//
+// Usage: node scripts/prerender.js --base-url https://username.github.io/repository-name/ [--out dir]
+//   --base-url  address the list is published at, for the canonical and OpenGraph URLs
+//   --out       where to build the site to publish: the list's own files with wine/, region/ and sitemap.xml
+//               (default: dist/, which git ignores; "--out ." writes the pages into the repository itself)
+//
+// Needs jsdom 26 (npm install --no-save jsdom@26; later versions no longer have ResourceLoader). The app is
+// loaded once in jsdom and its router is moved to every wine details page and every region and region + family
+// list, so the pages are rendered by the app itself.
+// Each one is saved with its title, description, canonical URL, OpenGraph tags and schema.org JSON-LD, and its
+// links to other wine and region pages lead to their saved pages. In the browser the app finds its page in
+// <meta name="app-route"> and keeps the saved markup, attaching its behaviour to it, as long as
+// <meta name="app-language"> and <meta name="app-data"> match the guest's language and the current list;
+// the script checks that it does.
+
+const fs = require('fs');
+const path = require('path');
+
+let jsdom;
+try {
+    jsdom = require('jsdom');
+} catch (error) {
+    console.error('The pre-rendering needs jsdom: run "npm install --no-save jsdom@26" first');
+    process.exit(2);
+}
+const { JSDOM, ResourceLoader, VirtualConsole } = jsdom;
+if (!ResourceLoader) {
+    console.error('The pre-rendering needs jsdom 26 (later versions no longer have ResourceLoader): run "npm install --no-save jsdom@26"');
+    process.exit(2);
+}
+
+const ROOT = path.join(__dirname, '..');
+const ORIGIN = 'http://localhost/';
+const SITE_NAME = 'Gran Caffè L\'Aquila';
+const DESCRIPTION_LENGTH = 300;
+
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+};
+
+if (!option('--base-url')) {
+    console.error('Usage: node scripts/prerender.js --base-url https://username.github.io/repository-name/ [--out dir]');
+    process.exit(2);
+}
+// Canonical URLs are resolved against the base URL, so it must end with a slash
+const baseUrl = option('--base-url').replace(/\/?$/, '/');
+const outDir = path.resolve(option('--out') || path.join(ROOT, 'dist'));
+
+// The files of the list itself, copied next to the pages so the output is a complete site
+const SITE_FILES = ['css', 'js', 'data', 'image', 'manifest.webmanifest', 'sw.js', '.nojekyll'];
+
+// What the app adds for the guest's visit (language switcher, selection link, comparison tray, open panels);
+// left out of the saved pages and added again by the app in the browser
+const SESSION_ELEMENTS = [
+    '.language-switcher',
+    '.selection-link',
+    '.connection-status',
+    '#liveRegion',
+    '.compare-tray',
+    '.draft-preview-banner',
+    '.facet-panel',
+    '.sommelier-panel'
+].join(', ');
+
+// Scripts and stylesheets are read from the repository; fonts and icons from the CDNs are skipped
+class LocalResources extends ResourceLoader {
+    fetch(url) {
+        const target = new URL(url);
+        if (target.origin !== new URL(ORIGIN).origin) return Promise.resolve(Buffer.from(''));
+        return fs.promises.readFile(path.join(ROOT, decodeURIComponent(target.pathname)));
+    }
+}
+
+// jsdom has no fetch(); the app uses it for the files in data/ and the page views
+function localFetch(window) {
+    return async resource => {
+        const file = path.join(ROOT, decodeURIComponent(new URL(resource, window.document.baseURI).pathname));
+        if (!fs.existsSync(file)) {
+            return { ok: false, status: 404, headers: new Map(), json: async () => null, text: async () => '' };
+        }
+        const body = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, headers: new Map(), json: async () => JSON.parse(body), text: async () => body };
+    };
+}
+
+// The app on index.html, or on a page written by this script (page: its path in --out) in the given language
+function loadApp(page = null, language = 'en') {
+    const html = fs.readFileSync(page ? path.join(outDir, page) : path.join(ROOT, 'index.html'), 'utf8');
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const dom = new JSDOM(html, {
+        url: ORIGIN + (page || 'index.html'),
+        runScripts: 'dangerously',
+        resources: new LocalResources(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.fetch = localFetch(window);
+            window.alert = () => {};
+            window.scrollTo = () => {};
+            window.HTMLElement.prototype.scrollIntoView = () => {};
+            // Pages are published in English; the app switches them to the guest's language
+            window.localStorage.setItem('gcaLanguage', language);
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const poll = setInterval(() => {
+            const { wineApp } = dom.window;
+            if (wineApp && wineApp.wines.length > 0 && wineApp.viewCache) {
+                clearInterval(poll);
+                resolve({ dom, errors });
+            } else if (Date.now() - started > 10000) {
+                clearInterval(poll);
+                reject(new Error(`The app did not load the wine list${errors.length ? `: ${errors.join('; ')}` : ''}`));
+            }
+        }, 50);
+    });
+}
+
+// "Brunello di Montalcino" -> "brunello-di-montalcino"
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'wine';
+}
+
+function truncate(text, maxChars) {
+    const value = text.replace(/\s+/g, ' ').trim();
+    if (value.length <= maxChars) return value;
+    return value.slice(0, value.lastIndexOf(' ', maxChars - 1)).replace(/[,;:.]$/, '') + '…';
+}
+
+function sentence(text) {
+    const value = String(text || '').trim();
+    return !value || /[.!?…]$/.test(value) ? value : `${value}.`;
+}
+
+// Every page to render: one per wine key (bin, name and producer, as the app links wines; a wine
+// listed in two sections gets one page) and one per region, alone and with each wine family it lists
+function collectRoutes(app) {
+    const routes = [];
+    const seenKeys = new Set();
+    app.wines.forEach(wine => {
+        const key = app.getWineKey(wine);
+        if (!wine.wine_number || seenKeys.has(key)) return;
+        seenKeys.add(key);
+        routes.push({
+            kind: 'wine',
+            wine,
+            route: `wine-details.html?id=${encodeURIComponent(key)}`,
+            file: `wine/${key}.html`
+        });
+    });
+
+    const regions = new Map();
+    app.wines.filter(wine => wine.region && wine.region.trim() !== '').forEach(wine => {
+        const region = app.normalizeRegionName(wine.region);
+        if (!regions.has(region)) regions.set(region, new Set());
+        regions.get(region).add(app.getWineFamily(wine.wine_type));
+    });
+
+    [...regions.keys()].sort().forEach(region => {
+        const route = `wines.html?region=${encodeURIComponent(region)}`;
+        routes.push({ kind: 'region', region, route, file: `region/${slugify(region)}.html` });
+        [...regions.get(region)].sort().forEach(family => {
+            routes.push({
+                kind: 'region',
+                region,
+                family,
+                route: `${route}&type=${encodeURIComponent(family)}`,
+                file: `region/${slugify(region)}-${slugify(family)}.html`
+            });
+        });
+    });
+    return routes;
+}
+
+function describePrices(app, wine) {
+    return app.getPriceFormats(wine).map(format => `${app.t(`price.${format.format}`)} ${app.formatPrice(format.price)}`).join(', ');
+}
+
+function getWineMetadata(app, entry, urlFor) {
+    const { wine } = entry;
+    const producer = String(wine.wine_producer || '').replace(/\*/g, '').trim();
+    const { year, appellation } = app.getVintageInfo(wine);
+    const origin = [...new Set([appellation, year, wine.region].filter(Boolean).map(String))].join(', ');
+    const prices = describePrices(app, wine);
+    const image = app.findWineImage(wine);
+    const url = urlFor(entry);
+
+    const description = [
+        `${wine.wine_name}${producer ? ` by ${producer}` : ''}${origin ? `, ${origin}` : ''}`,
+        wine.varietals,
+        wine.wine_description,
+        prices ? `${prices} at ${SITE_NAME}` : `On the wine list of ${SITE_NAME}`
+    ].filter(Boolean).map(sentence).join(' ');
+
+    const product = {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: wine.wine_name,
+        description: truncate(description, DESCRIPTION_LENGTH),
+        sku: wine.wine_number,
+        category: app.getWineTypeName(app.getWineFamily(wine.wine_type)),
+        url,
+        image: new URL(image ? image.src : 'image/gcaLogo.png', baseUrl).href
+    };
+    if (producer) {
+        product.brand = { '@type': 'Brand', name: producer };
+    }
+    const offers = app.getPriceFormats(wine).map(format => ({
+        '@type': 'Offer',
+        name: app.t(`price.${format.format}`),
+        price: String(format.price),
+        priceCurrency: app.priceFormatter.currency,
+        availability: 'https://schema.org/InStock',
+        url
+    }));
+    if (offers.length > 0) {
+        product.offers = offers;
+    }
+
+    return {
+        description: product.description,
+        url,
+        type: 'product',
+        image: product.image,
+        imageAlt: image ? image.alt || app.t('details.bottlePhoto', { name: wine.wine_name }) : SITE_NAME,
+        jsonLd: product
+    };
+}
+
+function getRegionMetadata(app, entry, urlFor, wineEntries, title) {
+    const wines = app.filteredWines;
+    const typeName = entry.family ? app.getWineTypeName(entry.family).toLowerCase() : 'wines';
+    const names = [...new Set(wines.map(wine => wine.wine_name))];
+    const url = urlFor(entry);
+
+    const description = [
+        `${wines.length} ${wines.length === 1 ? typeName.replace(/s$/, '') : typeName} from ${entry.region} on the wine list of ${SITE_NAME}`,
+        names.length > 0 ? `Including ${names.slice(0, 6).join(', ')}` : ''
+    ].filter(Boolean).map(sentence).join(' ');
+
+    return {
+        description: truncate(description, DESCRIPTION_LENGTH),
+        url,
+        type: 'website',
+        image: new URL('image/gcaLogo.png', baseUrl).href,
+        imageAlt: SITE_NAME,
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'ItemList',
+            name: title,
+            url,
+            numberOfItems: wines.length,
+            itemListElement: wines.map((wine, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                name: wine.wine_name,
+                url: wineEntries.has(app.getWineKey(wine)) ? urlFor(wineEntries.get(app.getWineKey(wine))) : undefined
+            }))
+        }
+    };
+}
+
+// Links in the saved markup are matched to the pages written here: wine pages by id, region pages by region and family
+function routeKey(href) {
+    const url = new URL(href, ORIGIN);
+    const params = url.searchParams;
+    if (url.pathname === '/wine-details.html') return `wine|${params.get('id')}`;
+    if (url.pathname === '/wines.html') return `region|${params.get('region')}|${params.get('type') || ''}`;
+    return null;
+}
+
+// The rendered page without what the app adds on every load, with the search engine tags in its <head>
+function serializePage(document, entry, metadata, staticFiles, rendered) {
+    const page = document.documentElement.cloneNode(true);
+    page.querySelectorAll(SESSION_ELEMENTS).forEach(element => element.remove());
+
+    // Links to other written pages lead to them, so crawlers can follow the list without running the scripts
+    page.querySelectorAll('a[href]').forEach(link => {
+        const file = staticFiles.get(routeKey(link.getAttribute('href')));
+        if (file) link.setAttribute('href', file);
+    });
+
+    const head = page.querySelector('head');
+    const create = (tag, attributes) => {
+        const element = document.createElement(tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    };
+    const add = (tag, attributes) => {
+        const element = create(tag, { ...attributes, 'data-prerendered': '' });
+        head.append('    ', element, '\n');
+        return element;
+    };
+
+    // The pages live one folder down; relative links, scripts and data keep pointing at the list
+    const depth = entry.file.split('/').length - 1;
+    head.prepend('\n    ', create('base', { href: '../'.repeat(depth) || './' }));
+    head.querySelector('meta[charset]').after(
+        '\n    ', create('meta', { name: 'app-route', content: entry.route }),
+        '\n    ', create('meta', { name: 'app-language', content: rendered.language }),
+        '\n    ', create('meta', { name: 'app-data', content: rendered.data })
+    );
+
+    add('meta', { name: 'description', content: metadata.description });
+    add('link', { rel: 'canonical', href: metadata.url });
+    add('meta', { property: 'og:site_name', content: SITE_NAME });
+    add('meta', { property: 'og:type', content: metadata.type });
+    add('meta', { property: 'og:title', content: document.title });
+    add('meta', { property: 'og:description', content: metadata.description });
+    add('meta', { property: 'og:url', content: metadata.url });
+    add('meta', { property: 'og:image', content: metadata.image });
+    add('meta', { property: 'og:image:alt', content: metadata.imageAlt });
+    add('meta', { name: 'twitter:card', content: 'summary' });
+    // "<" is escaped so wine text cannot end the script element
+    add('script', { type: 'application/ld+json' }).textContent = JSON.stringify(metadata.jsonLd, null, 2).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>\n${page.outerHTML}\n`;
+}
+
+function writeSitemap(entries, urlFor) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const urls = [baseUrl, new URL('regions.html', baseUrl).href, ...entries.map(urlFor)];
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url><loc>${escape(url)}</loc></url>`).join('\n')}
+</urlset>
+`;
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), xml);
+}
+
+// In the browser the app keeps the saved markup of a page that matches the guest's language and the current list,
+// and attaches its behaviour to it; in another language it renders the page again.
+// Checked on a written wine page and region page that link to other written pages, opened in English and in
+// Italian; returns what went wrong.
+async function checkHydrated(entries) {
+    const problems = [];
+    const read = entry => fs.readFileSync(path.join(outDir, entry.file), 'utf8');
+    const sample = kind => entries.find(entry => entry.kind === kind && read(entry).includes('href="wine/'));
+    const text = document => {
+        const content = document.querySelector('.luxury-container').cloneNode(true);
+        content.querySelectorAll(SESSION_ELEMENTS).forEach(element => element.remove());
+        return content.textContent.replace(/\s+/g, ' ');
+    };
+    const staticLinks = document => document.querySelectorAll('.luxury-container a[href^="wine/"], .luxury-container a[href^="region/"]').length;
+
+    for (const entry of [sample('wine'), sample('region')].filter(Boolean)) {
+        const saved = new JSDOM(read(entry)).window.document;
+
+        const { dom, errors } = await loadApp(entry.file);
+        const { document } = dom.window;
+        if (text(document) !== text(saved) || staticLinks(document) !== staticLinks(saved)) {
+            problems.push(`${entry.file}: the app rendered the page again instead of keeping the saved markup`);
+        }
+        const button = document.querySelector('.luxury-container .selection-btn');
+        if (button) {
+            button.click();
+            if (button.getAttribute('aria-pressed') !== 'true') {
+                problems.push(`${entry.file}: the saved selection button does not work`);
+            }
+        }
+        errors.forEach(message => problems.push(`${entry.file}: script error: ${message}`));
+        dom.window.close();
+
+        const translated = await loadApp(entry.file, 'it');
+        if (translated.dom.window.document.documentElement.lang !== 'it' || text(translated.dom.window.document) === text(saved)) {
+            problems.push(`${entry.file}: the app did not render the page again in Italian`);
+        }
+        translated.errors.forEach(message => problems.push(`${entry.file} (it): script error: ${message}`));
+        translated.dom.window.close();
+    }
+    return problems;
+}
+
+// Pages left from wines and regions no longer on the list are removed
+function clearOutput() {
+    ['wine', 'region'].forEach(folder => {
+        const directory = path.join(outDir, folder);
+        fs.mkdirSync(directory, { recursive: true });
+        fs.readdirSync(directory)
+            .filter(file => file.endsWith('.html'))
+            .forEach(file => fs.unlinkSync(path.join(directory, file)));
+    });
+}
+
+// The pages link to the list's scripts, styles and data with <base href="../">, so they are published together
+function copySite() {
+    if (outDir === ROOT) return;
+    [...fs.readdirSync(ROOT).filter(file => file.endsWith('.html')), ...SITE_FILES]
+        .filter(file => fs.existsSync(path.join(ROOT, file)))
+        .forEach(file => fs.cpSync(path.join(ROOT, file), path.join(outDir, file), { recursive: true }));
+}
+
+(async () => {
+    const { dom, errors } = await loadApp();
+    const { window } = dom;
+    const app = window.wineApp;
+
+    const entries = collectRoutes(app);
+    // What the pages are rendered from, so the app can tell whether a saved page is still current
+    const rendered = { language: app.i18n.language, data: app.getDataStamp() };
+    const wineEntries = new Map(entries.filter(entry => entry.kind === 'wine').map(entry => [app.getWineKey(entry.wine), entry]));
+    const urlFor = entry => new URL(entry.file, baseUrl).href;
+    const staticFiles = new Map(entries.map(entry => [routeKey(entry.route), entry.file]));
+
+    clearOutput();
+    copySite();
+    for (const entry of entries) {
+        await app.navigate(entry.route);
+        const metadata = entry.kind === 'wine'
+            ? getWineMetadata(app, entry, urlFor)
+            : getRegionMetadata(app, entry, urlFor, wineEntries, window.document.title);
+        fs.writeFileSync(path.join(outDir, entry.file), serializePage(window.document, entry, metadata, staticFiles, rendered));
+    }
+    writeSitemap(entries, urlFor);
+
+    const wineCount = wineEntries.size;
+    console.log(`Wrote ${wineCount} wine page${wineCount === 1 ? '' : 's'} and ${entries.length - wineCount} region page${entries.length - wineCount === 1 ? '' : 's'} to ${outDir}`);
+    errors.forEach(message => console.warn(`Script error: ${message}`));
+    window.close();
+
+    const problems = await checkHydrated(entries);
+    problems.forEach(problem => console.warn(problem));
+    process.exit(errors.length > 0 || problems.length > 0 ? 1 : 0);
+})().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Gran Caffè L'Aquila - Validate data/wines.json before publishing
+//
+// Usage: node scripts/validate-wines.js [file] [--json] [--write] [--strict]
+//   --json    print the full report as JSON
+//   --write   save the normalized wines back to the file (rejected records are dropped)
+//   --strict  exit with an error when any record is rejected
+
+const fs = require('fs');
+const path = require('path');
+const WineSchema = require('../js/wine-schema.js');
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const file = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'data', 'wines.json');
+
+let data;
+try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+    console.error(`Could not read ${file}: ${error.message}`);
+    process.exit(2);
+}
+
+const { wines, report } = WineSchema.validate(data);
+const describe = entry => `#${entry.index} [${entry.wine_number || '?'}] ${entry.wine_name || '(no name)'}`;
+
+if (flags.has('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    console.log(`Checked ${report.total} records: ${report.accepted} accepted, ${report.rejected.length} rejected, ${report.repaired.length} repaired, ${report.warnings.length} warnings`);
+
+    if (report.rejected.length > 0) {
+        console.log('\nRejected:');
+        report.rejected.forEach(entry => {
+            console.log(`  ${describe(entry)}: ${entry.reasons.map(reason => reason.message).join('; ')}`);
+        });
+    }
+
+    if (report.repaired.length > 0) {
+        console.log('\nRepaired:');
+        report.repaired.forEach(entry => {
+            entry.repairs.forEach(repair => {
+                console.log(`  ${describe(entry)} ${repair.field}: ${JSON.stringify(repair.from)} -> ${JSON.stringify(repair.to)} (${repair.reason})`);
+            });
+        });
+    }
+
+    if (report.warnings.length > 0) {
+        console.log('\nWarnings:');
+        report.warnings.forEach(entry => {
+            console.log(`  ${describe(entry)}: ${entry.message}`);
+        });
+    }
+}
+
+if (flags.has('--write')) {
+    fs.writeFileSync(file, JSON.stringify({ ...data, wines }, null, 2) + '\n');
+    console.log(`\nWrote ${wines.length} normalized wines to ${file}`);
+}
+
+if (flags.has('--strict') && report.rejected.length > 0) {
+    process.exit(1);
+}
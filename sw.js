@@ -0,0 +1,177 @@
+// Gran Caffè L'Aquila - Service Worker
+// Pre-caches the pages, scripts, icons and wine data so the list works without Wi-Fi.
+// Data files are served from the cache and refreshed in the background; open pages are told when they change.
+
+// Bump the version whenever the files below change so clients pick up the new copies
+const CACHE_VERSION = 'gca-wine-list-v27';
+const RUNTIME_CACHE = 'gca-wine-list-runtime';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'regions.html',
+    'wines.html',
+    'wine-details.html',
+    'producer.html',
+    'print.html',
+    'selection.html',
+    'compare.html',
+    'admin.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'js/wine-schema.js',
+    'js/wine-data.js',
+    'js/vintage-parser.js',
+    'js/price-formatter.js',
+    'js/pairing-engine.js',
+    'js/label-art.js',
+    'js/share-card.js',
+    'js/search.js',
+    'js/i18n.js',
+    'js/main.js',
+    'js/admin.js',
+    'js/csv-importer.js',
+    'image/gcaLogo.png',
+    'image/icon.svg',
+    'image/glassRed.png',
+    'image/glassWhite.png',
+    'image/glRose.png',
+    'image/glSparkling.png',
+    'data/wines.json',
+    'data/producers.json',
+    'data/settings.json',
+    'data/pairings.json',
+    'data/images.json'
+];
+
+// Header added to cached data so the page can show when the list was last downloaded
+const FETCHED_AT_HEADER = 'X-Fetched-At';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => Promise.all(PRECACHE_URLS.map(url =>
+            fetch(url, { cache: 'no-cache' }).then(response => {
+                if (!response.ok) {
+                    // Optional files (producers, settings, pairings, images) may be missing; the rest must be there
+                    if (isDataRequest(new URL(url, self.location.href)) && url !== 'data/wines.json') return null;
+                    throw new Error(`Could not pre-cache ${url}: ${response.status}`);
+                }
+                return stampResponse(response).then(stamped => cache.put(url, stamped));
+            })
+        ))).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_VERSION && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        // Fonts and icons from the CDNs
+        event.respondWith(staleWhileRevalidate(request));
+    } else if (isDataRequest(url)) {
+        event.respondWith(serveDataAndRefresh(event));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+function isDataRequest(url) {
+    return url.pathname.includes('/data/') && url.pathname.endsWith('.json');
+}
+
+// Pages are cached without their query string (wines.html?region=TOSCANA uses wines.html)
+function cacheFirst(request) {
+    return caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+        if (cached) return cached;
+
+        return fetch(request).then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }).catch(error => {
+            if (request.mode === 'navigate') {
+                return caches.match('index.html');
+            }
+            throw error;
+        });
+    });
+}
+
+function staleWhileRevalidate(request) {
+    return caches.open(RUNTIME_CACHE).then(cache => cache.match(request).then(cached => {
+        const network = fetch(request).then(response => {
+            // CDN responses are opaque (status 0) but still usable from the cache
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        }).catch(() => cached);
+
+        return cached || network;
+    }));
+}
+
+// Data is answered from the cache straight away; the network copy replaces it when it differs
+function serveDataAndRefresh(event) {
+    const request = event.request;
+    const cacheKey = new URL(request.url).pathname;
+
+    return caches.open(CACHE_VERSION).then(cache => cache.match(request, { ignoreSearch: true }).then(cached => {
+        const refresh = fetch(request, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) return cached || response;
+
+                return stampResponse(response).then(stamped => {
+                    const changed = cached
+                        ? Promise.all([cached.clone().text(), stamped.clone().text()]).then(([a, b]) => a !== b)
+                        : Promise.resolve(false);
+
+                    return changed.then(isChanged => cache.put(request, stamped.clone()).then(() => {
+                        if (isChanged) {
+                            notifyClients({ type: 'wine-data-updated', url: cacheKey });
+                        }
+                        return stamped;
+                    }));
+                });
+            })
+            .catch(() => cached || Response.error());
+
+        if (cached) {
+            event.waitUntil(refresh);
+            return cached;
+        }
+        return refresh;
+    }));
+}
+
+function stampResponse(response) {
+    return response.clone().blob().then(body => {
+        const headers = new Headers(response.headers);
+        headers.set(FETCHED_AT_HEADER, new Date().toISOString());
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers
+        });
+    });
+}
+
+function notifyClients(message) {
+    return self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage(message));
+    });
+}